@@ -0,0 +1,319 @@
+// --- AIRING SCHEDULE ---
+// Announces new episodes of anime that linked members have as CURRENT or PLANNING on their lists.
+// Each show is queried once no matter how many members follow it, and announced episodes are
+// remembered in airing.json so restarts don't repeat them.
+
+const { queryAniList } = require('./api');
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { getGuildSettings } = require('./guilds');
+const { getNotifyPreferences } = require('./notify');
+const { chunk } = require('./utils');
+const { log } = require('./logger');
+const { t, getDisplayPreferences, getPreferredTitle } = require('./i18n');
+
+const AIRING_FILE = 'airing.json';
+const AIRING_VERSION = 1;
+
+const AIRING_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const SUBSCRIPTION_REFRESH_MS = 6 * 60 * 60 * 1000;
+// Don't announce episodes older than this after downtime, and forget announcements after a week
+const MAX_MISSED_AIRING_SECONDS = 24 * 60 * 60;
+const ANNOUNCED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const UPCOMING_DAYS = 7;
+const MEDIA_IDS_PER_REQUEST = 50;
+const MAX_UPCOMING_ENTRIES = 25;
+
+const WATCHING_LIST_QUERY = `query WatchingList($userId: Int) {
+    MediaListCollection(userId: $userId, type: ANIME, status_in: [CURRENT, PLANNING]) {
+        lists {
+            entries {
+                status
+                media {
+                    id
+                    status
+                }
+            }
+        }
+    }
+}
+`;
+
+const AIRING_SCHEDULE_QUERY = `query AiringSchedules($mediaIds: [Int], $from: Int, $to: Int, $page: Int) {
+    Page(page: $page, perPage: 50) {
+        pageInfo {
+            hasNextPage
+        }
+        airingSchedules(mediaId_in: $mediaIds, airingAt_greater: $from, airingAt_lesser: $to, sort: [TIME]) {
+            id
+            episode
+            airingAt
+            media {
+                id
+                episodes
+                siteUrl
+                title {
+                    romaji
+                    english
+                    native
+                }
+                coverImage {
+                    large
+                }
+            }
+        }
+    }
+}
+`;
+
+// mediaId -> Map of discordId -> list status ('CURRENT' or 'PLANNING')
+let subscriptions = new Map();
+let subscriptionsUpdatedAt = 0;
+let airingState = { lastCheckedAt: null, announced: {} };
+
+function loadAiringState() {
+    try {
+        const stored = readJson(AIRING_FILE, null);
+        if (stored) {
+            airingState = { lastCheckedAt: stored.lastCheckedAt ?? null, announced: stored.announced ?? {} };
+        }
+    } catch (error) {
+        const quarantinedFile = quarantineFile(AIRING_FILE);
+        log.error(`Error loading airing.json, moved it to ${quarantinedFile} and started without announced episodes`, { error });
+    }
+}
+
+function saveAiringState() {
+    writeJsonAtomic(AIRING_FILE, { version: AIRING_VERSION, ...airingState });
+}
+
+function addSubscription(target, mediaId, discordId, status) {
+    if (!target.has(mediaId)) target.set(mediaId, new Map());
+    target.get(mediaId).set(discordId, status);
+}
+
+// The watching and planning list entries of a user for shows that are still airing or upcoming,
+// since only those get new episodes
+async function fetchWatchedShows(user) {
+    const data = await queryAniList(WATCHING_LIST_QUERY, { userId: user.id });
+    return (data?.MediaListCollection?.lists ?? [])
+        .flatMap(list => list.entries)
+        .filter(entry => ['RELEASING', 'NOT_YET_RELEASED'].includes(entry.media.status));
+}
+
+// Rebuilds the deduplicated media -> watchers map from every linked user's list.
+// `users` is a list of [discordId, user] pairs.
+async function refreshSubscriptions(users) {
+    const updated = new Map();
+
+    for (const [discordId, user] of users) {
+        try {
+            for (const entry of await fetchWatchedShows(user)) {
+                addSubscription(updated, entry.media.id, discordId, entry.status);
+            }
+        } catch (error) {
+            log.error(`Error fetching watching list for ${user.name}`, { error });
+            // Keep the user's previous subscriptions rather than dropping them for one failed request
+            for (const [mediaId, watchers] of subscriptions) {
+                if (watchers.has(discordId)) addSubscription(updated, mediaId, discordId, watchers.get(discordId));
+            }
+        }
+    }
+
+    subscriptions = updated;
+    subscriptionsUpdatedAt = Date.now();
+    log.info(`Tracking airing schedules for ${subscriptions.size} shows.`);
+}
+
+// Replaces one member's subscriptions when they link, relink or unlink, so they don't wait for the
+// next full refresh. `user` is their linked account, or null once they have none.
+async function refreshMemberSubscriptions(discordId, user) {
+    // Nothing is tracked before the first full refresh, which will include them anyway
+    if (subscriptionsUpdatedAt === 0) return;
+
+    const shows = user ? await fetchWatchedShows(user) : [];
+    for (const [mediaId, watchers] of subscriptions) {
+        watchers.delete(discordId);
+        if (watchers.size === 0) subscriptions.delete(mediaId);
+    }
+    for (const entry of shows) {
+        addSubscription(subscriptions, entry.media.id, discordId, entry.status);
+    }
+}
+
+async function ensureSubscriptions(users) {
+    if (Date.now() - subscriptionsUpdatedAt >= SUBSCRIPTION_REFRESH_MS) {
+        await refreshSubscriptions(users);
+    }
+}
+
+// Every airing schedule entry for the given shows with from < airingAt < to (unix seconds)
+async function fetchAiringSchedules(mediaIds, from, to) {
+    const schedules = [];
+
+    for (const ids of chunk(mediaIds, MEDIA_IDS_PER_REQUEST)) {
+        for (let page = 1; ; page++) {
+            const data = await queryAniList(AIRING_SCHEDULE_QUERY, { mediaIds: ids, from: from, to: to, page: page });
+            schedules.push(...(data?.Page?.airingSchedules ?? []));
+            if (!data?.Page?.pageInfo?.hasNextPage) break;
+        }
+    }
+
+    return schedules.sort((a, b) => a.airingAt - b.airingAt);
+}
+
+// Guilds that want airing alerts, with the watchers of a show that are linked there and
+// still get notifications for anime there (see !anilist notify)
+function getWatchersByGuild(watchers, usersById) {
+    const byGuild = new Map();
+
+    for (const [discordId, status] of watchers) {
+        const user = usersById.get(discordId);
+        for (const guildId of user?.guilds ?? []) {
+            const settings = getGuildSettings(guildId);
+            if (!settings.channelId || !settings.features.airing || !settings.mediaTypes.includes('ANIME')) continue;
+            const preferences = getNotifyPreferences(user, settings);
+            if (!preferences.enabled || !preferences.mediaTypes.includes('ANIME')) continue;
+
+            if (!byGuild.has(guildId)) byGuild.set(guildId, []);
+            byGuild.get(guildId).push({ discordId, status });
+        }
+    }
+    return byGuild;
+}
+
+// Announcements are read by the whole guild, so `display` holds its preferences rather than a member's
+function buildAiringAnnouncement(schedule, guildWatchers, display) {
+    const { locale } = display;
+    const media = schedule.media;
+    const isFinale = media.episodes && schedule.episode === media.episodes;
+    const watching = guildWatchers.filter(watcher => watcher.status === 'CURRENT').map(watcher => watcher.discordId);
+    const planning = guildWatchers.filter(watcher => watcher.status === 'PLANNING').map(watcher => watcher.discordId);
+
+    const mentions = (ids) => ids.map(id => `<@${id}>`).join(' ');
+    const lines = [];
+    if (watching.length) lines.push(t(locale, 'airing.watching', { members: mentions(watching) }));
+    if (planning.length) lines.push(t(locale, 'airing.planning', { members: mentions(planning) }));
+
+    return {
+        content: lines.join('\n'),
+        // Only members who are watching get pinged, planners are just listed
+        allowedMentions: { users: watching },
+        embeds: [{
+            color: 0x2ecc71,
+            title: t(locale, isFinale ? 'airing.finaleAired' : 'airing.episodeAired', { episode: schedule.episode, title: getPreferredTitle(media.title, display.titleLanguage) }),
+            url: media.siteUrl,
+            thumbnail: {
+                url: media.coverImage?.large,
+            },
+            timestamp: new Date(schedule.airingAt * 1000).toISOString(),
+            footer: {
+                text: media.episodes
+                    ? t(locale, 'airing.episodeOf', { episode: schedule.episode, episodes: media.episodes })
+                    : t(locale, 'airing.episode', { episode: schedule.episode })
+            }
+        }]
+    };
+}
+
+async function checkAiring(client, users) {
+    await ensureSubscriptions(users);
+
+    const now = Math.floor(Date.now() / 1000);
+    const from = Math.max(airingState.lastCheckedAt ?? now - AIRING_CHECK_INTERVAL_MS / 1000, now - MAX_MISSED_AIRING_SECONDS);
+    const mediaIds = [...subscriptions.keys()];
+
+    if (mediaIds.length > 0) {
+        // airingAt_greater is exclusive, so step back a second and rely on `announced` for duplicates
+        const schedules = await fetchAiringSchedules(mediaIds, from - 1, now + 1);
+        const usersById = new Map(users);
+
+        for (const schedule of schedules) {
+            if (airingState.announced[schedule.id]) continue;
+
+            const watchersByGuild = getWatchersByGuild(subscriptions.get(schedule.media.id) ?? new Map(), usersById);
+            for (const [guildId, guildWatchers] of watchersByGuild) {
+                const settings = getGuildSettings(guildId);
+                const channel = client.channels.cache.get(settings.channelId);
+                if (!channel) continue;
+
+                try {
+                    await channel.send(buildAiringAnnouncement(schedule, guildWatchers, getDisplayPreferences(settings, null)));
+                } catch (error) {
+                    log.warn(`Could not post airing alert to guild ${guildId}`, { error });
+                }
+            }
+
+            airingState.announced[schedule.id] = schedule.airingAt;
+        }
+    }
+
+    for (const scheduleId in airingState.announced) {
+        if (airingState.announced[scheduleId] < now - ANNOUNCED_RETENTION_SECONDS) {
+            delete airingState.announced[scheduleId];
+        }
+    }
+    airingState.lastCheckedAt = now;
+    saveAiringState();
+}
+
+// Embed with the episodes airing in the next 7 days for shows followed by the guild's members.
+// `guildUsers` is a list of [discordId, user] pairs linked in the guild.
+async function buildUpcomingAiringEmbed(guild, guildUsers, allUsers, display) {
+    const { locale } = display;
+    await ensureSubscriptions(allUsers);
+
+    const guildUserIds = new Set(guildUsers.map(([discordId]) => discordId));
+    const followers = new Map();
+    for (const [mediaId, watchers] of subscriptions) {
+        const count = [...watchers.keys()].filter(discordId => guildUserIds.has(discordId)).length;
+        if (count > 0) followers.set(mediaId, count);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const schedules = followers.size > 0
+        ? await fetchAiringSchedules([...followers.keys()], now, now + UPCOMING_DAYS * 24 * 60 * 60)
+        : [];
+
+    const lines = schedules.slice(0, MAX_UPCOMING_ENTRIES).map(schedule => {
+        const count = followers.get(schedule.media.id);
+        return `<t:${schedule.airingAt}:f> (<t:${schedule.airingAt}:R>)\n` +
+            `**[${getPreferredTitle(schedule.media.title, display.titleLanguage)}](${schedule.media.siteUrl})** — ` +
+            `${t(locale, 'airing.episode', { episode: schedule.episode })} • ${t(locale, 'airing.followers', { count: count })}`;
+    });
+
+    let description = lines.join('\n\n');
+    if (schedules.length > MAX_UPCOMING_ENTRIES) {
+        description += `\n\n${t(locale, 'airing.moreEpisodes', { count: schedules.length - MAX_UPCOMING_ENTRIES })}`;
+    }
+
+    return {
+        color: 0x2ecc71,
+        title: t(locale, 'airing.upcomingTitle', { days: UPCOMING_DAYS, guild: guild.name }),
+        description: (description || t(locale, 'airing.nothingUpcoming')).substring(0, 4096),
+        footer: {
+            text: t(locale, 'airing.upcomingFooter')
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// `getUsers` returns the current [discordId, user] pairs of every linked account
+function startAiringScheduler(client, getUsers) {
+    loadAiringState();
+
+    const runCheck = async () => {
+        try {
+            await checkAiring(client, getUsers());
+        } catch (error) {
+            log.error("Error checking airing schedules", { error });
+        }
+        setTimeout(runCheck, AIRING_CHECK_INTERVAL_MS);
+    };
+    runCheck();
+}
+
+module.exports = {
+    startAiringScheduler,
+    refreshMemberSubscriptions,
+    buildUpcomingAiringEmbed,
+};
@@ -1,558 +1,2205 @@
-
-const { Client, GatewayIntentBits } = require('discord.js');
-const axios = require('axios');
-const fs = require('fs');
-
-// Configuration constants loaded from config.js
-const { DISCORD_BOT_TOKEN, NOTIFICATION_CHANNEL_ID } = require('./config');
-
-const client = new Client({ 
-    intents: [
-        GatewayIntentBits.Guilds, 
-        GatewayIntentBits.GuildMessages, 
-        GatewayIntentBits.MessageContent 
-    ]
-});
-
-// --- USER DATA MANAGEMENT ---
-const USERS_FILE = 'users.json';
-let anilistUsers = {}; 
-let lastActivityId = {};
-
-// Query to convert username to ID
-const USER_ID_QUERY = `
-    query ($username: String) { 
-        User(name: $username) { 
-            id 
-            name
-        } 
-    }
-`;
-
-function saveUsers() {
-    fs.writeFileSync(USERS_FILE, JSON.stringify(anilistUsers, null, 2), 'utf8');
-}
-
-async function loadUsers() {
-    if (fs.existsSync(USERS_FILE)) {
-        try {
-            const rawUsers = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
-            let convertedUsers = {};
-            let requiresSave = false;
-            
-            for (const discordId in rawUsers) {
-                const value = rawUsers[discordId];
-                
-                if (typeof value === 'string') {
-                    console.log(`Converting old user data for: ${value}...`);
-                    try {
-                        const response = await axios.post('https://graphql.anilist.co/', {
-                            query: USER_ID_QUERY, 
-                            variables: { username: value }
-                        });
-
-                        const userData = response.data.data.User;
-                        if (userData) {
-                            convertedUsers[discordId] = { id: userData.id, name: userData.name };
-                            requiresSave = true;
-                        } else {
-                            console.error(`AniList user not found: ${value}. Removed from list.`);
-                        }
-                    } catch (error) {
-                        console.error(`API error during user conversion ${value}:`, error.message);
-                    }
-                } else if (value && typeof value === 'object' && value.id && value.name) {
-                    convertedUsers[discordId] = value;
-                }
-            }
-
-            anilistUsers = convertedUsers;
-            if (requiresSave) {
-                console.log("Saving updated users.json...");
-                saveUsers();
-            }
-            console.log(`Loaded ${Object.keys(anilistUsers).length} users.`);
-        } catch (error) {
-            console.error("Error loading or converting users.json:", error);
-            anilistUsers = {}; 
-        }
-    }
-}
-
-const statusMap = {
-    'CURRENT': 'is currently watching 📺',
-    'REPEATING': 'is rewatching 🔄',
-    'COMPLETED': 'completed 🎉',
-    'PAUSED': 'paused ⏸️',
-    'DROPPED': 'dropped 🗑️',
-    'PLANNING': 'is planning to watch/read 💡'
-};
-
-
-// --- ANI-LIST API (GraphQL) QUERIES ---
-
-// Query for fetching latest activity
-const ACTIVITY_QUERY = `query UserActivity($userId: Int) { 
-    Page(perPage: 1) { 
-        activities(
-            userId: $userId, 
-            sort: [ID_DESC], 
-            type: MEDIA_LIST
-        ) {
-            ... on ListActivity {
-                id
-                status
-                progress
-                replyCount
-                siteUrl
-                createdAt
-                media {
-                    title {
-                        romaji
-                    }
-                    type
-                    siteUrl
-                    coverImage {
-                        large
-                    }
-                }
-                user {
-                    name
-                }
-            }
-        }
-    }
-}
-`;
-
-// Query for fetching user statistics
-const STATS_QUERY = `
-query UserStats($username: String) {
-    User(name: $username) {
-        id
-        name
-        siteUrl
-        avatar {
-            large
-        }
-        statistics {
-            anime {
-                count
-                episodesWatched
-            }
-            manga {
-                count
-                chaptersRead
-            }
-        }
-    }
-}
-`;
-
-function logAniListErrorDetails(error, username) {
-    console.error(`Error fetching data for ${username}:`, error.message);
-    if (error.response && error.response.data) {
-        console.error("--- ANI-LIST ERROR DETAILS ---");
-        console.error(JSON.stringify(error.response.data, null, 2));
-        console.error("------------------------------");
-    }
-}
-
-async function fetchAndPostActivity() {
-    const userObjects = Object.values(anilistUsers);
-    if (userObjects.length === 0) {
-        console.log("No configured users to check.");
-        return;
-    }
-
-    const channel = client.channels.cache.get(NOTIFICATION_CHANNEL_ID); 
-    if (!channel) {
-        console.error(`Channel ID not found: ${NOTIFICATION_CHANNEL_ID}`);
-        return;
-    }
-
-    for (const user of userObjects) {
-        const userId = user.id;
-        const username = user.name; 
-
-        try {
-            const response = await axios.post('https://graphql.anilist.co/', {
-                query: ACTIVITY_QUERY, 
-                variables: { userId: userId }
-            }, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                }
-            });
-
-            const activityNode = response.data.data?.Page?.activities?.[0];
-            
-            if (!activityNode) {
-                console.log(`No activity found for ${username}.`);
-                continue;
-            }
-
-            const currentId = activityNode.id;
-
-            if (lastActivityId[username] && lastActivityId[username] >= currentId) {
-                console.log(`Activity for ${username} is already known (ID: ${currentId}).`);
-                continue;
-            }
-
-            lastActivityId[username] = currentId;
-            
-            const mediaTitle = activityNode.media.title.romaji;
-            const mediaType = activityNode.media.type === 'ANIME' ? 'Anime 🎬' : 'Manga 📖';
-            const userStatus = statusMap[activityNode.status] || activityNode.status.toLowerCase();
-            const date = new Date(activityNode.createdAt * 1000); 
-            const formattedDate = date.toLocaleString('en-US', {
-                year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit'
-            });
-
-            let description = `**${username}** ${userStatus} **${mediaTitle}**!`;
-            
-            if (activityNode.progress) {
-                description += `\n**Progress**: ${activityNode.progress}`;
-            }
-
-            const embed = {
-                color: activityNode.media.type === 'ANIME' ? 0x0099ff : 0xffa500,
-                title: `${username} updated their progress in ${mediaType}`,
-                url: activityNode.siteUrl,
-                description: description,
-                thumbnail: {
-                    url: activityNode.media.coverImage?.large, 
-                },
-                timestamp: date.toISOString(),
-                footer: {
-                    text: `Posted: ${formattedDate}`
-                }
-            };
-            
-            await channel.send({ embeds: [embed] });
-            console.log(`Posted new activity for ${username}.`);
-
-        } catch (error) {
-            logAniListErrorDetails(error, username);
-        }
-    }
-}
-
-async function fetchAndReplyUserStats(username, message, type) {
-    try {
-        const response = await axios.post('https://graphql.anilist.co/', {
-            query: STATS_QUERY, 
-            variables: { username: username }
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            }
-        });
-
-        const userData = response.data.data?.User;
-        if (!userData || !userData.statistics) {
-            return message.reply(`❌ Could not fetch stats for user **${username}**.`);
-        }
-
-        const animeStats = userData.statistics.anime;
-        const mangaStats = userData.statistics.manga;
-        
-        let title = `📊 AniList Stats for ${username}`;
-        let description = `[AniList Profile](${userData.siteUrl})\n\n`;
-        let color = 0x008080; 
-
-        if (type === 'anime' || type === 'both') {
-            description += `**Anime 🎬**\n`;
-            description += `• Titles Watched: **${animeStats.count}**\n`;
-            description += `• Episodes Watched: **${animeStats.episodesWatched}**\n\n`;
-            if (type === 'anime') color = 0x0099ff; 
-        }
-
-        if (type === 'manga' || type === 'both') {
-            description += `**Manga 📖**\n`;
-            description += `• Titles Read: **${mangaStats.count}**\n`;
-            description += `• Chapters Read: **${mangaStats.chaptersRead}**\n\n`;
-             if (type === 'manga') color = 0xffa500; 
-        }
-        
-        if (type === 'both') {
-             color = 0x4B0082; 
-        }
-
-        const embed = {
-            color: color,
-            title: title,
-            description: description,
-            thumbnail: {
-                url: userData.avatar.large,
-            },
-            timestamp: new Date().toISOString()
-        };
-
-        await message.reply({ embeds: [embed] });
-
-    } catch (error) {
-        if (error.response && error.response.status === 404) {
-             return message.reply(`❌ AniList user **${username}** not found.`);
-        }
-        logAniListErrorDetails(error, username);
-        message.reply("An error occurred while fetching stats from AniList.");
-    }
-}
-
-async function fetchAndPostTopStats(message, type) {
-    const userObjects = Object.values(anilistUsers);
-    if (userObjects.length === 0) {
-        return message.reply("No configured users to create a ranking.");
-    }
-
-    const statsPromises = userObjects.map(user => 
-        axios.post('https://graphql.anilist.co/', {
-            query: STATS_QUERY, 
-            variables: { username: user.name }
-        }).catch(err => {
-            console.error(`Error fetching top stats for ${user.name}:`, err.message);
-            return null; 
-        })
-    );
-
-    const responses = await Promise.all(statsPromises);
-    
-    const validStats = responses
-        .map(res => res?.data?.data?.User)
-        .filter(data => data && data.statistics)
-        .map(data => ({
-            name: data.name,
-            count: type === 'anime' ? data.statistics.anime.count : data.statistics.manga.count,
-            episodesOrChapters: type === 'anime' ? data.statistics.anime.episodesWatched : data.statistics.manga.chaptersRead,
-            avatar: data.avatar.large
-        }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 10); 
-
-    let title = type === 'anime' ? "🏆 TOP 10 ANIME WATCHERS" : "🏆 TOP 10 MANGA READERS";
-    let description = "";
-    
-    validStats.forEach((stat, index) => {
-        const rank = index + 1;
-        const mediaType = type === 'anime' ? 'titles' : 'titles';
-        const progressType = type === 'anime' ? 'episodes' : 'chapters';
-        
-        description += `**#${rank}** **${stat.name}**\n`;
-        description += `> ${stat.count} ${mediaType} completed (${stat.episodesOrChapters} ${progressType})\n`;
-    });
-    
-    if (description.length === 0) {
-        description = "No available statistics for ranking.";
-    }
-
-    const embed = {
-        color: type === 'anime' ? 0x0099ff : 0xffa500,
-        title: title,
-        description: description.substring(0, 4096),
-        timestamp: new Date().toISOString()
-    };
-    
-    await message.reply({ embeds: [embed] });
-}
-
-
-// --- DISCORD LOGIC ---
-
-client.on('clientReady', async () => { 
-    console.log(`Logged in as ${client.user.tag}!`);
-    await loadUsers(); 
-    
-    fetchAndPostActivity(); 
-    // Check activity every minute
-    setInterval(fetchAndPostActivity, 60000); 
-});
-
-client.on('messageCreate', async (message) => {
-    if (message.author.bot) return;
-
-    const content = message.content.toLowerCase();
-    const discordId = message.author.id;
-    const anilistUser = anilistUsers[discordId]; 
-
-    // 1. Link account: !anilist link <AniList_Username>
-    if (content.startsWith('!anilist link ')) {
-        const parts = message.content.split(/\s+/);
-        if (parts.length !== 3) {
-            return message.reply("Usage: `!anilist link <AniList_Username>`");
-        }
-
-        const usernameToLink = parts[2];
-        
-        // Prevent linking an AniList account that is already linked to another Discord account
-        const users = Object.values(anilistUsers);
-        const existingUser = users.find(user => 
-            user.name.toLowerCase() === usernameToLink.toLowerCase() &&
-            user.name.toLowerCase() !== (anilistUser?.name?.toLowerCase() ?? '') 
-        );
-
-        if (existingUser) {
-            return message.reply(`🛑 The AniList account **${usernameToLink}** is already linked to another Discord account.`);
-        }
-        
-        // Validation: check if the user exists on AniList and get ID
-        axios.post('https://graphql.anilist.co/', {
-            query: USER_ID_QUERY, 
-            variables: { username: usernameToLink }
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            }
-        }).then(response => {
-            const userData = response.data.data.User;
-            if (userData) {
-                anilistUsers[discordId] = { id: userData.id, name: userData.name };
-                saveUsers();
-                message.reply(`✅ Successfully linked your Discord account with AniList account: **${userData.name}** (ID: ${userData.id})! Activity will be checked every minute.`);
-            } else {
-                message.reply(`❌ AniList user **${usernameToLink}** not found. Please try again.`);
-            }
-        }).catch(error => {
-            message.reply("An error occurred while communicating with the AniList API.");
-            logAniListErrorDetails(error, usernameToLink);
-        });
-        return;
-    }
-    
-    // 2. Unlink account: !anilist unlink OR !unlink
-    if (content === '!anilist unlink' || content === '!unlink') {
-        if (anilistUser) {
-            delete lastActivityId[anilistUser.name]; 
-            delete anilistUsers[discordId];
-            saveUsers();
-            message.reply(`🗑️ Successfully unlinked your AniList account (${anilistUser.name}).`);
-        } else {
-            message.reply("You do not have a linked AniList account.");
-        }
-        return;
-    }
-
-    // 3. Personal Stats: !myanime, !mymanga, !profile
-    if (content.startsWith('!myanime') || content.startsWith('!mymanga') || content.startsWith('!profile')) {
-        
-        let targetUsername;
-        let type;
-        const args = message.content.split(/\s+/).slice(1);
-        
-        if (content.startsWith('!myanime')) {
-            type = 'anime';
-        } else if (content.startsWith('!mymanga')) {
-            type = 'manga';
-        } else {
-            type = 'both'; // for !profile
-        }
-        
-        if (args.length === 0) {
-            // No argument: Use own linked account
-            if (!anilistUser) {
-                return message.reply("To see your stats, please link your account using `!anilist link <AniList_Username>` first.");
-            }
-            targetUsername = anilistUser.name;
-        } else if (args.length === 1 && message.mentions.users.size === 1) {
-            // Mention (@): Use linked account of the mentioned user
-            const mentionedUser = message.mentions.users.first();
-            const mentionedAnilistUser = anilistUsers[mentionedUser.id];
-            
-            if (!mentionedAnilistUser) {
-                return message.reply(`User **${mentionedUser.username}** does not have a linked AniList account.`);
-            }
-            targetUsername = mentionedAnilistUser.name;
-
-        } else if (args.length === 1) {
-            // Direct AniList Username
-            targetUsername = args[0];
-            
-        } else {
-            return message.reply(`Usage: \`!profile\` or \`!profile <@mention>\` or \`!profile <AniList_Username>\``);
-        }
-        
-        await fetchAndReplyUserStats(targetUsername, message, type);
-        return;
-    }
-
-    // 4. Ranking Commands: !topanime, !topmanga
-    if (content === '!topanime' || content === '!topmanga') {
-        const type = content === '!topanime' ? 'anime' : 'manga';
-        await fetchAndPostTopStats(message, type);
-        return;
-    }
-
-    // 5. List Connected Accounts: !stats
-    if (content === '!stats') {
-        const connectedUsers = Object.keys(anilistUsers);
-        
-        if (connectedUsers.length === 0) {
-            return message.reply("No users currently have linked AniList accounts.");
-        }
-        
-        const userList = connectedUsers.map(id => {
-            const member = message.guild?.members.cache.get(id);
-            const tag = member ? member.user.tag : 'Unknown User';
-            
-            return `**${tag}** → \`${anilistUsers[id].name}\` (ID: ${anilistUsers[id].id})`;
-        }).join('\n');
-        
-        const statsEmbed = {
-            color: 0x4B0082,
-            title: `📊 Connected AniList Accounts (${connectedUsers.length})`,
-            description: userList,
-            footer: {
-                text: "Use !anilist link <name> to join."
-            },
-            timestamp: new Date().toISOString()
-        };
-        
-        await message.reply({ embeds: [statsEmbed] });
-        return;
-    }
-    
-    // 6. Help Command: !anihelp or !anilist help
-    if (content === '!anihelp' || content === '!anilist help') {
-        const helpEmbed = {
-            color: 0x00CED1,
-            title: '📜 AniList Bot Commands',
-            description: 'Use the commands below to manage your AniList account and check stats.',
-            fields: [
-                {
-                    name: '🔗 Account Management',
-                    value: '`!anilist link <AniList_Username>`: Links your Discord account to AniList. \n`!anilist unlink` or `!unlink`: Unlinks your connected account.',
-                    inline: false,
-                },
-                {
-                    name: '👤 Personal Stats (You or Mention)',
-                    value: '`!profile` or `!profile @mention`: Displays full profile (Anime + Manga).\n`!myanime` or `!myanime @mention`: Displays Anime stats.\n`!mymanga` or `!mymanga @mention`: Displays Manga stats.',
-                    inline: false,
-                },
-                {
-                    name: '📊 Leaderboards and List',
-                    value: '`!topanime`: Displays the TOP 10 users with the most completed Anime.\n`!topmanga`: Displays the TOP 10 users with the most completed Manga.\n`!stats`: Lists all connected Discord accounts with their AniList names.',
-                    inline: false,
-                },
-                {
-                    name: '❓ Help',
-                    value: '`!anihelp` or `!anilist help`: Displays this command list.',
-                    inline: false,
-                },
-            ],
-            footer: {
-                text: `Activity is being tracked on channel ID: ${NOTIFICATION_CHANNEL_ID}`
-            },
-            timestamp: new Date().toISOString()
-        };
-        
-        await message.reply({ embeds: [helpEmbed] });
-        return;
-    }
-});
-
-client.login(DISCORD_BOT_TOKEN).catch(err => {
-    console.error("Login failed. Check if DISCORD_BOT_TOKEN is correct:", err);
+
+const { Client, GatewayIntentBits, MessageFlags, PermissionFlagsBits } = require('discord.js');
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const {
+    loadUsers, getUser, setUser, deleteUser, getUserEntries, getGuildUsers
+} = require('./storage');
+const { queryAniList } = require('./api');
+const { log, withCorrelationId, getCorrelationId } = require('./logger');
+const {
+    incrementCounter, setGauge, startPollCycle, finishPollCycle, recordUserPollResult, buildStatusEmbed, startMetricsServer
+} = require('./metrics');
+const { chunk } = require('./utils');
+const {
+    DEFAULT_LOCALE, LOCALE_CODES, TITLE_LANGUAGES, t, getTranslation, getLocaleName, reportMissingTranslations,
+    getDisplayPreferences, getPreferredTitle, isValidTimezone, formatDateTime
+} = require('./i18n');
+const {
+    FEATURES, MEDIA_TYPES, ACTIVITY_STATUSES, ADULT_MODES, MAX_PREFIX_LENGTH, loadGuildSettings, getGuildSettings,
+    updateGuildSettings
+} = require('./guilds');
+const { parseStatuses, describeStatuses, getNotifyPreferences, shouldPostActivity } = require('./notify');
+const {
+    registerCommand, getCommands, registerComponentHandler, handleComponent, findPrefixCommand, findSlashCommand, parsePrefixOptions, readSlashOptions,
+    getUsageText, createMessageContext, createInteractionContext, runCommand, handleAutocomplete,
+    buildSlashCommandData, buildHelpFields
+} = require('./commands');
+const {
+    parseMediaReference, searchMedia, fetchMediaById, fetchListEntry, isAmbiguousSearch, buildMediaEmbed, buildMediaPicker
+} = require('./media');
+const { startAiringScheduler, refreshMemberSubscriptions, buildUpcomingAiringEmbed } = require('./airing');
+const { PROFILE_TABS, fetchProfile, buildProfilePage } = require('./profile');
+const { convertAniListMarkup } = require('./markup');
+const { isOAuthConfigured, createAuthorizationUrl, startOAuthServer, createBioCode, checkBioCode } = require('./verify');
+const { isTokenStorageEnabled, loadTokens, storeToken, getToken, deleteToken } = require('./tokens');
+const {
+    parseListStatus, suggestListStatuses, findMediaToUpdate, updateProgress, rateMedia, setListStatus,
+    canIncrementProgress, buildProgressButton
+} = require('./updates');
+const {
+    parseActivityReference, fetchActivityThread, formatEngagement, buildThreadEmbed, buildThreadButton
+} = require('./thread');
+const { compareUsers, buildComparisonEmbed, buildAffinityRanking, buildAffinityEmbed } = require('./compare');
+const { fetchGenres, findGenre, buildRecommendations, buildRecommendationEmbed } = require('./recommend');
+const { downloadArchive, validateArchive, buildArchive, planImport, buildImportEmbed } = require('./archive');
+const {
+    DIGEST_WINDOW_NAMES, loadHistory, recordActivities, recordLink, buildDigest, buildDigestEmbed, startDigestScheduler
+} = require('./digest');
+const {
+    METRIC_NAMES, WINDOW_NAMES, validateLeaderboardOptions, buildRanking, buildLeaderboardPage, startSnapshotScheduler
+} = require('./leaderboard');
+const {
+    DEFAULT_ROUNDS, MAX_ROUNDS, DIFFICULTY_NAMES, QUIZ_SOURCES, loadQuizScores, getQuizSession, startQuiz, stopQuiz,
+    buildQuizLeaderboardPage
+} = require('./quiz');
+
+// Configuration constants loaded from config.js
+const {
+    DISCORD_BOT_TOKEN, NOTIFICATION_CHANNEL_ID, POLL_INTERVAL_MS, MAX_POLL_INTERVAL_MS, POLL_BATCH_SIZE, QUIZ_ROUND_SECONDS
+} = require('./config');
+
+const client = new Client({ 
+    intents: [
+        GatewayIntentBits.Guilds, 
+        GatewayIntentBits.GuildMessages, 
+        GatewayIntentBits.MessageContent 
+    ]
+});
+
+// --- USER DATA MANAGEMENT ---
+// Linked accounts are kept by storage.js; activity cursors live in state.json next to users.json,
+// keyed by AniList user ID so they survive renames
+const STATE_FILE = 'state.json';
+let lastActivityId = {};
+
+// Query to convert username to ID
+const USER_ID_QUERY = `
+    query ($username: String) { 
+        User(name: $username) { 
+            id 
+            name
+        } 
+    }
+`;
+
+// Cache lifetime for username lookups, which rarely change between commands
+const USER_ID_CACHE_TTL = 60 * 60 * 1000;
+
+// Looks up an AniList user by name, resolving to null when the user doesn't exist
+async function findAniListUser(username) {
+    try {
+        const data = await queryAniList(USER_ID_QUERY, { username: username }, { cacheTtl: USER_ID_CACHE_TTL });
+        return data.User;
+    } catch (error) {
+        if (error.notFound) return null;
+        throw error;
+    }
+}
+
+// state.json v1: { version, cursors: { anilistId: activityId } }
+const STATE_VERSION = 1;
+
+function saveState() {
+    writeJsonAtomic(STATE_FILE, { version: STATE_VERSION, cursors: lastActivityId });
+}
+
+// Restores activity cursors so a restart neither re-posts nor skips activities
+function loadState() {
+    try {
+        const state = readJson(STATE_FILE, { version: STATE_VERSION, cursors: {} });
+        lastActivityId = state.cursors ?? {};
+        log.info(`Restored activity cursors for ${Object.keys(lastActivityId).length} users.`);
+    } catch (error) {
+        const quarantinedFile = quarantineFile(STATE_FILE);
+        log.error(`Error loading state.json, moved it to ${quarantinedFile} and started without activity cursors`, { error });
+        lastActivityId = {};
+    }
+}
+
+// List statuses (CURRENT, ...) and AniList's activity statuses ("watched episode", ...) in the
+// reader's language; unknown ones are shown as AniList sends them
+function describeStatus(status, locale) {
+    const key = `activity.statuses.${status.replace(/\s+/g, '_')}`;
+    return getTranslation(locale, key) ?? getTranslation(DEFAULT_LOCALE, key) ?? status.toLowerCase();
+}
+
+
+// --- ANI-LIST API (GraphQL) QUERIES ---
+
+// Activity fields shared by the single-user and batched activity queries: list updates,
+// status posts (TextActivity) and messages left on the user's profile (MessageActivity)
+const ACTIVITY_FIELDS = `
+fragment ListActivityFields on ListActivity {
+    __typename
+    id
+    status
+    progress
+    replyCount
+    likeCount
+    siteUrl
+    createdAt
+    media {
+        id
+        title {
+            romaji
+            english
+            native
+        }
+        type
+        siteUrl
+        isAdult
+        coverImage {
+            large
+        }
+    }
+    user {
+        name
+    }
+}
+
+fragment TextActivityFields on TextActivity {
+    __typename
+    id
+    text(asHtml: false)
+    replyCount
+    likeCount
+    siteUrl
+    createdAt
+    user {
+        name
+        avatar {
+            large
+        }
+    }
+}
+
+fragment MessageActivityFields on MessageActivity {
+    __typename
+    id
+    message(asHtml: false)
+    isPrivate
+    replyCount
+    likeCount
+    siteUrl
+    createdAt
+    user: recipient {
+        name
+    }
+    messenger {
+        name
+        siteUrl
+        avatar {
+            large
+        }
+    }
+}
+`;
+
+// Selection of every activity type the feed posts
+const ACTIVITY_SELECTION = `
+            ... ListActivityFields
+            ... TextActivityFields
+            ... MessageActivityFields`;
+
+// Query for fetching activities newer than a known activity ID, in `$sort` order
+const ACTIVITY_QUERY = `query UserActivity($userId: Int, $sinceId: Int, $page: Int, $perPage: Int, $sort: [ActivitySort]) { 
+    Page(page: $page, perPage: $perPage) { 
+        pageInfo {
+            hasNextPage
+        }
+        activities(
+            userId: $userId, 
+            id_greater: $sinceId,
+            sort: $sort, 
+            type_in: [MEDIA_LIST, TEXT, MESSAGE]
+        ) {${ACTIVITY_SELECTION}
+        }
+    }
+}
+${ACTIVITY_FIELDS}`;
+
+// Builds one request polling several users at once: an aliased Page per user,
+// each with its own cursor. Users without a cursor only fetch their newest activity.
+function buildBatchActivityQuery(users) {
+    const variableDefinitions = users
+        .map((_, index) => `$userId${index}: Int, $sinceId${index}: Int, $perPage${index}: Int`)
+        .join(', ');
+    const pages = users.map((_, index) => `
+    user${index}: Page(perPage: $perPage${index}) {
+        pageInfo {
+            hasNextPage
+        }
+        activities(userId: $userId${index}, id_greater: $sinceId${index}, sort: [ID_DESC], type_in: [MEDIA_LIST, TEXT, MESSAGE]) {${ACTIVITY_SELECTION}
+        }
+    }`).join('');
+
+    return `query BatchActivity(${variableDefinitions}) {${pages}
+}
+${ACTIVITY_FIELDS}`;
+}
+
+// Catch-up limits: activities per page, pages per user and poll, and how many
+// consecutive updates of the same title get collapsed into one summary embed
+const ACTIVITY_PAGE_SIZE = 25;
+const MAX_CATCHUP_PAGES = 4;
+const BURST_COLLAPSE_THRESHOLD = 3;
+// Activities per user in a batched poll; users with more fall back to a full catch-up
+const BATCH_PAGE_SIZE = 10;
+// Longest status post or profile message shown in a feed post
+const MAX_TEXT_ACTIVITY_LENGTH = 1500;
+
+// Logs a failed AniList request; its HTTP status and GraphQL errors become fields of the entry
+function logAniListErrorDetails(error, username) {
+    log.error(`Error fetching data for ${username}`, { anilistUser: username, error });
+}
+
+async function fetchActivityPage(userId, sinceId, page, perPage, sort) {
+    const data = await queryAniList(ACTIVITY_QUERY, {
+        userId: userId, sinceId: sinceId, page: page, perPage: perPage, sort: [sort]
+    });
+
+    return data?.Page;
+}
+
+// Returns the activities newer than sinceId, oldest first, paging forward from the cursor.
+// A backlog longer than MAX_CATCHUP_PAGES is returned in part: the cursor only moves up to
+// the newest activity returned, so the next poll carries on from there and nothing is skipped.
+// Without a known cursor only the newest activity is returned, so a freshly linked
+// user doesn't flood the channel with their whole history.
+async function fetchNewActivities(userId, sinceId) {
+    if (!sinceId) {
+        const pageData = await fetchActivityPage(userId, null, 1, 1, 'ID_DESC');
+        return (pageData?.activities ?? []).filter(activity => activity && activity.id);
+    }
+
+    const activitiesById = new Map();
+    for (let page = 1; page <= MAX_CATCHUP_PAGES; page++) {
+        const pageData = await fetchActivityPage(userId, sinceId, page, ACTIVITY_PAGE_SIZE, 'ID');
+        const activities = pageData?.activities ?? [];
+
+        for (const activity of activities) {
+            if (activity && activity.id > sinceId) {
+                activitiesById.set(activity.id, activity);
+            }
+        }
+
+        if (!pageData?.pageInfo?.hasNextPage) break;
+        if (page === MAX_CATCHUP_PAGES) {
+            log.info(`More than ${MAX_CATCHUP_PAGES * ACTIVITY_PAGE_SIZE} new activities for AniList user ${userId}, the rest follow on the next poll.`, { userId: userId });
+        }
+    }
+
+    return [...activitiesById.values()].sort((a, b) => a.id - b.id);
+}
+
+// Splits chronologically ordered activities into runs of consecutive updates
+// with the same title and status
+function groupActivityBursts(activities) {
+    const runs = [];
+    for (const activity of activities) {
+        const lastRun = runs[runs.length - 1];
+        const previous = lastRun?.[lastRun.length - 1];
+
+        // Status posts and messages have no media and are never grouped
+        if (previous?.media && activity.media && previous.media.id === activity.media.id && previous.status === activity.status) {
+            lastRun.push(activity);
+        } else {
+            runs.push([activity]);
+        }
+    }
+    return runs;
+}
+
+// "3 updates • Posted: <date>" style footer, in the reader's language and timezone
+function buildActivityFooter(engagement, date, display) {
+    return { text: `${engagement} • ${t(display.locale, 'activity.posted', { date: formatDateTime(date, display) })}` };
+}
+
+// With `spoiler`, the title is spoiler-tagged and the cover left out (used for adult titles).
+// `display` is the reader's language, title language and timezone.
+function buildActivityEmbed(activityNode, username, { spoiler, display }) {
+    const { locale } = display;
+    const title = getPreferredTitle(activityNode.media.title, display.titleLanguage);
+    const mediaTitle = spoiler ? `||${title}||` : title;
+    const mediaType = t(locale, `activity.mediaTypes.${activityNode.media.type}`);
+    const userStatus = describeStatus(activityNode.status, locale);
+    const date = new Date(activityNode.createdAt * 1000); 
+
+    let description = t(locale, 'activity.description', { username: username, status: userStatus, title: mediaTitle });
+    
+    if (activityNode.progress) {
+        description += `\n${t(locale, 'activity.progress', { progress: activityNode.progress })}`;
+    }
+
+    return {
+        color: activityNode.media.type === 'ANIME' ? 0x0099ff : 0xffa500,
+        title: t(locale, 'activity.progressTitle', { username: username, mediaType: mediaType }),
+        url: activityNode.siteUrl,
+        description: description,
+        thumbnail: spoiler ? undefined : {
+            url: activityNode.media.coverImage?.large, 
+        },
+        timestamp: date.toISOString(),
+        footer: buildActivityFooter(formatEngagement(activityNode, locale), date, display)
+    };
+}
+
+function buildTextActivityEmbed(activityNode, username, display) {
+    const date = new Date(activityNode.createdAt * 1000);
+
+    return {
+        color: 0x3DB4F2,
+        title: t(display.locale, 'activity.textTitle', { username: username }),
+        url: activityNode.siteUrl,
+        description: convertAniListMarkup(activityNode.text, MAX_TEXT_ACTIVITY_LENGTH) || t(display.locale, 'activity.empty'),
+        thumbnail: {
+            url: activityNode.user?.avatar?.large,
+        },
+        timestamp: date.toISOString(),
+        footer: buildActivityFooter(formatEngagement(activityNode, display.locale), date, display)
+    };
+}
+
+function buildMessageActivityEmbed(activityNode, username, display) {
+    const date = new Date(activityNode.createdAt * 1000);
+    const messenger = activityNode.messenger?.name ?? t(display.locale, 'activity.someone');
+
+    return {
+        color: 0x3DB4F2,
+        title: t(display.locale, 'activity.messageTitle', { messenger: messenger, username: username }),
+        url: activityNode.siteUrl,
+        description: convertAniListMarkup(activityNode.message, MAX_TEXT_ACTIVITY_LENGTH) || t(display.locale, 'activity.empty'),
+        thumbnail: {
+            url: activityNode.messenger?.avatar?.large,
+        },
+        timestamp: date.toISOString(),
+        footer: buildActivityFooter(formatEngagement(activityNode, display.locale), date, display)
+    };
+}
+
+// Buttons under a feed post: its replies, and +1 for progress updates where the guild allows list updates.
+// DM posts (no guild `settings`) get none, since buttons are only handled in guilds.
+function buildActivityComponents(activityNode, settings, locale) {
+    if (!settings) return [];
+
+    const row = buildThreadButton(activityNode, locale);
+    if (settings?.features.updates && canIncrementProgress(activityNode)) {
+        row.components.unshift(buildProgressButton(activityNode.media, locale));
+    }
+    return [row];
+}
+
+// Feed post for one activity of any type, with its buttons
+function buildActivityPayload(activityNode, username, settings, embedOptions) {
+    let embed;
+    if (activityNode.__typename === 'TextActivity') {
+        embed = buildTextActivityEmbed(activityNode, username, embedOptions.display);
+    } else if (activityNode.__typename === 'MessageActivity') {
+        embed = buildMessageActivityEmbed(activityNode, username, embedOptions.display);
+    } else {
+        embed = buildActivityEmbed(activityNode, username, embedOptions);
+    }
+    return { embeds: [embed], components: buildActivityComponents(activityNode, settings, embedOptions.display.locale) };
+}
+
+// Summarises a burst of progress updates, e.g. "watched episodes 3–7 of X"
+function buildBurstEmbed(run, username, { spoiler, display }) {
+    const { locale } = display;
+    const first = run[0];
+    const last = run[run.length - 1];
+    const isAnime = first.media.type === 'ANIME';
+    const title = getPreferredTitle(first.media.title, display.titleLanguage);
+    const mediaTitle = spoiler ? `||${title}||` : title;
+    const mediaType = t(locale, `activity.mediaTypes.${first.media.type}`);
+    const isRepeat = /^re|REPEATING/.test(first.status);
+    const verb = isAnime ? (isRepeat ? 'rewatched' : 'watched') : (isRepeat ? 'reread' : 'read');
+
+    // Progress is a string such as "5" or "3 - 4"
+    const fromProgress = String(first.progress).match(/\d+/g)[0];
+    const toProgress = String(last.progress).match(/\d+/g).pop();
+    const range = fromProgress === toProgress ? fromProgress : `${fromProgress}–${toProgress}`;
+    const date = new Date(last.createdAt * 1000);
+
+    return {
+        color: isAnime ? 0x0099ff : 0xffa500,
+        title: t(locale, 'activity.burst.title', { username: username, mediaType: mediaType }),
+        url: last.media.siteUrl,
+        description: t(locale, `activity.burst.${verb}`, { username: username, range: range, title: mediaTitle }),
+        thumbnail: spoiler ? undefined : {
+            url: first.media.coverImage?.large, 
+        },
+        timestamp: date.toISOString(),
+        footer: buildActivityFooter(t(locale, 'activity.updates', { count: run.length }), date, display)
+    };
+}
+
+function isCollapsibleBurst(run) {
+    return run.length >= BURST_COLLAPSE_THRESHOLD &&
+        run.every(activity => /\d/.test(String(activity.progress ?? '')));
+}
+
+// Where the user's activity goes, each with the notification preferences that apply there:
+// their DMs when they asked for that, otherwise every guild they're linked in that has a feed
+function getActivityDestinations(user) {
+    if (user.notify?.dm) {
+        const preferences = getNotifyPreferences(user, null);
+        return preferences.enabled ? [{ settings: null, preferences }] : [];
+    }
+
+    return (user.guilds ?? [])
+        .filter(guildId => client.guilds.cache.has(guildId))
+        .map(guildId => getGuildSettings(guildId))
+        .filter(settings => settings.channelId && settings.features.activity)
+        .map(settings => ({ settings, preferences: getNotifyPreferences(user, settings) }))
+        .filter(({ preferences }) => preferences.enabled && preferences.mediaTypes.length > 0);
+}
+
+// The digest counts every member's activity, including what isn't posted to the feed,
+// so users linked in a guild with digests enabled are polled even without a feed destination
+function isInDigestGuild(user) {
+    return (user.guilds ?? []).some(guildId => client.guilds.cache.has(guildId) && getGuildSettings(guildId).features.digest);
+}
+
+// Feed posts are read by the whole guild, so they use its language, but keep the poster's title
+// language and timezone; DMs are read by the member alone and use all of their own preferences
+function getFeedDisplay(destination, user) {
+    if (!destination.settings) return getDisplayPreferences(null, user);
+    return { ...getDisplayPreferences(null, user), locale: getDisplayPreferences(destination.settings, null).locale };
+}
+
+// The channel (or DM) an activity is posted to; adult titles go to the guild's adult channel when it has one
+async function resolveDestinationChannel(destination, discordId, activity) {
+    // Discord users can be sent to like a channel, which opens a DM
+    if (!destination.settings) {
+        return client.users.fetch(discordId).catch(() => null);
+    }
+
+    const { adultChannelId, channelId } = destination.settings;
+    const targetId = activity.media?.isAdult && adultChannelId ? adultChannelId : channelId;
+    return client.channels.cache.get(targetId) ?? null;
+}
+
+// A guild that removed the bot's permissions shouldn't stop the post reaching the others
+async function sendToChannels(channels, payload) {
+    for (const channel of channels) {
+        try {
+            await channel.send(payload);
+            incrementCounter('posts_sent_total');
+        } catch (error) {
+            incrementCounter('post_failures_total');
+            log.warn(`Could not post to channel ${channel.id} in guild ${channel.guildId}`, { error });
+        }
+    }
+}
+
+// Fetches new activities for a chunk of users in one request.
+// Returns a Map of AniList user ID -> { activities (oldest first), hasNextPage }.
+async function fetchActivityBatch(users) {
+    let variables = {};
+    users.forEach((user, index) => {
+        const sinceId = lastActivityId[user.id] ?? null;
+        variables[`userId${index}`] = user.id;
+        variables[`sinceId${index}`] = sinceId;
+        variables[`perPage${index}`] = sinceId ? BATCH_PAGE_SIZE : 1;
+    });
+
+    const data = await queryAniList(buildBatchActivityQuery(users), variables);
+
+    const results = new Map();
+    users.forEach((user, index) => {
+        const pageData = data?.[`user${index}`];
+        const sinceId = lastActivityId[user.id] ?? 0;
+        const activities = (pageData?.activities ?? [])
+            .filter(activity => activity && activity.id > sinceId)
+            .sort((a, b) => a.id - b.id);
+
+        results.set(user.id, {
+            activities: activities,
+            // Without a cursor only the newest activity is wanted, so there is nothing to catch up on
+            hasNextPage: Boolean(sinceId && pageData?.pageInfo?.hasNextPage),
+        });
+    });
+    return results;
+}
+
+// Adaptive polling: users without new activity are checked less and less often,
+// up to MAX_POLL_INTERVAL_MS, and go back to every poll as soon as they post again.
+let pollSchedule = {};
+
+function isPollDue(userId, now) {
+    return (pollSchedule[userId]?.nextPollAt ?? 0) <= now;
+}
+
+function schedulePoll(userId, hadActivity) {
+    const idlePolls = hadActivity ? 0 : (pollSchedule[userId]?.idlePolls ?? 0) + 1;
+    const interval = Math.min(POLL_INTERVAL_MS * 2 ** idlePolls, Math.max(MAX_POLL_INTERVAL_MS, POLL_INTERVAL_MS));
+    pollSchedule[userId] = { idlePolls: idlePolls, nextPollAt: Date.now() + interval };
+}
+
+// Checks the user on the next poll, e.g. after they updated their list from Discord
+function pollSoon(userId) {
+    delete pollSchedule[userId];
+}
+
+async function postUserActivities(discordId, user, activities) {
+    const userId = user.id;
+    let username = user.name; 
+
+    // Keep the stored name in sync when the user renamed their AniList account
+    const currentName = activities[activities.length - 1].user?.name;
+    if (currentName && currentName !== username) {
+        log.info(`AniList user ${username} was renamed to ${currentName}.`, { userId: userId });
+        user.name = currentName;
+        username = currentName;
+        setUser(discordId, user);
+    }
+
+    const destinations = getActivityDestinations(user);
+    // Only polled for the digest: move the cursor past what was recorded
+    if (destinations.length === 0) {
+        lastActivityId[userId] = activities[activities.length - 1].id;
+        saveState();
+        return;
+    }
+
+    for (const run of groupActivityBursts(activities)) {
+        // Every activity in a run shares the title and status, so the first one decides where it goes
+        for (const destination of destinations) {
+            if (!shouldPostActivity(destination.preferences, run[0])) continue;
+
+            const channel = await resolveDestinationChannel(destination, discordId, run[0]);
+            if (!channel) continue;
+
+            const embedOptions = {
+                spoiler: Boolean(run[0].media?.isAdult) && destination.preferences.adult === 'spoiler',
+                display: getFeedDisplay(destination, user),
+            };
+            if (isCollapsibleBurst(run)) {
+                await sendToChannels([channel], {
+                    embeds: [buildBurstEmbed(run, username, embedOptions)],
+                    components: buildActivityComponents(run[run.length - 1], destination.settings, embedOptions.display.locale)
+                });
+            } else {
+                for (const activityNode of run) {
+                    await sendToChannels([channel], buildActivityPayload(activityNode, username, destination.settings, embedOptions));
+                }
+            }
+        }
+
+        // Delivery is best effort: failed sends are logged and counted (post_failures_total) but not
+        // retried, since a channel the bot lost access to would otherwise get the run again every poll
+        lastActivityId[userId] = run[run.length - 1].id;
+        saveState();
+    }
+
+    log.info(`Posted ${activities.length} new activities for ${username}.`, { userId: userId, count: activities.length });
+}
+
+async function fetchAndPostActivity() {
+    const userEntries = getUserEntries();
+    setGauge('linked_users', userEntries.length);
+    setGauge('guilds', client.guilds.cache.size);
+    if (userEntries.length === 0) {
+        log.debug("No configured users to check.");
+        return;
+    }
+
+    const now = Date.now();
+    const isWanted = (user) => getActivityDestinations(user).length > 0 || isInDigestGuild(user);
+    // An admin's reassign can leave one account with members on different servers, who share its cursor
+    const wantedIds = new Set(userEntries.filter(([, user]) => isWanted(user)).map(([, user]) => user.id));
+    const dueEntries = userEntries.filter(([, user]) => {
+        // Nowhere to post or record: skip the API call and forget the cursor, so enabling
+        // a channel later starts from the newest activity instead of a backlog
+        if (!isWanted(user)) {
+            if (lastActivityId[user.id] && !wantedIds.has(user.id)) {
+                delete lastActivityId[user.id];
+                saveState();
+            }
+            return false;
+        }
+        return isPollDue(user.id, now);
+    });
+
+    for (const entries of chunk(dueEntries, POLL_BATCH_SIZE)) {
+        let results;
+        try {
+            results = await fetchActivityBatch(entries.map(([, user]) => user));
+        } catch (error) {
+            logAniListErrorDetails(error, entries.map(([, user]) => user.name).join(', '));
+            entries.forEach(([, user]) => recordUserPollResult(user, error));
+            continue;
+        }
+
+        for (const [discordId, user] of entries) {
+            try {
+                let { activities, hasNextPage } = results.get(user.id);
+
+                // More than fits in a batch: page through everything since the cursor, once per account
+                if (hasNextPage) {
+                    activities = await fetchNewActivities(user.id, lastActivityId[user.id]);
+                    results.set(user.id, { activities, hasNextPage: false });
+                }
+
+                schedulePoll(user.id, activities.length > 0);
+                if (activities.length > 0) {
+                    recordActivities(user.id, activities);
+                    await postUserActivities(discordId, user, activities);
+                }
+                recordUserPollResult(user, null);
+            } catch (error) {
+                logAniListErrorDetails(error, user.name);
+                recordUserPollResult(user, error);
+            }
+        }
+    }
+}
+
+// Runs poll cycles back to back with POLL_INTERVAL_MS between them, so a slow cycle never overlaps the next.
+// Each cycle logs with its own correlation ID.
+async function runActivityPolling() {
+    await withCorrelationId('poll', async () => {
+        const cycleStartedAt = startPollCycle(getCorrelationId());
+        log.debug("Activity poll cycle started.");
+        try {
+            await fetchAndPostActivity();
+        } catch (error) {
+            log.error("Unexpected error while polling activity", { error });
+        }
+        finishPollCycle(cycleStartedAt);
+        log.debug("Activity poll cycle finished.", { durationMs: Date.now() - cycleStartedAt });
+    });
+    setTimeout(runActivityPolling, POLL_INTERVAL_MS);
+}
+
+async function fetchAndReplyUserStats(username, ctx, tab) {
+    try {
+        const userData = await fetchProfile({ username: username });
+        if (!userData || !userData.statistics) {
+            return ctx.reply(ctx.t('errors.statsUnavailable', { username: username }));
+        }
+
+        await ctx.reply(buildProfilePage(userData, tab, ctx.display));
+
+    } catch (error) {
+        if (error.notFound) {
+             return ctx.reply(ctx.t('errors.userNotFound', { username: username }));
+        }
+        logAniListErrorDetails(error, username);
+        ctx.reply(ctx.t('errors.statsFetch'));
+    }
+}
+
+// --- DISCORD LOGIC ---
+
+// Carries single-server setups over to per-guild settings: the old global NOTIFICATION_CHANNEL_ID
+// becomes its guild's channel, and links made before guild scoping join the guilds their owners are in.
+async function adoptLegacyConfiguration() {
+    const legacyChannel = NOTIFICATION_CHANNEL_ID && client.channels.cache.get(NOTIFICATION_CHANNEL_ID);
+    if (legacyChannel?.guildId && !getGuildSettings(legacyChannel.guildId).channelId) {
+        updateGuildSettings(legacyChannel.guildId, { channelId: legacyChannel.id });
+        log.info(`Using NOTIFICATION_CHANNEL_ID as the notification channel of guild ${legacyChannel.guildId}.`);
+    }
+
+    const unscopedUsers = getUserEntries().filter(([, user]) => user.guilds.length === 0);
+    if (unscopedUsers.length === 0) return;
+
+    for (const [discordId, user] of unscopedUsers) {
+        for (const guild of client.guilds.cache.values()) {
+            const member = await guild.members.fetch(discordId).catch(() => null);
+            if (member) {
+                user.guilds.push(guild.id);
+            }
+        }
+        setUser(discordId, user);
+    }
+    log.info(`Assigned ${unscopedUsers.length} existing links to their guilds.`);
+}
+
+function describeMediaTypes(mediaTypes, locale) {
+    if (mediaTypes.length === 0) return t(locale, 'common.none');
+    if (mediaTypes.length === MEDIA_TYPES.length) return t(locale, 'settings.mediaTypes.all');
+    return mediaTypes.map(type => t(locale, `settings.mediaTypes.${type}`)).join(', ');
+}
+
+async function replyGuildSettings(ctx, settings) {
+    const { locale } = ctx;
+    const notSet = t(locale, 'settings.notSet');
+    const featureText = Object.keys(FEATURES)
+        .map(feature => `${settings.features[feature] ? '✅' : '❌'} \`${feature}\` — ${t(locale, `settings.features.${feature}`)}`)
+        .join('\n');
+
+    const settingsEmbed = {
+        color: 0x00CED1,
+        title: t(locale, 'settings.title', { guild: ctx.guild.name }),
+        fields: [
+            { name: t(locale, 'settings.fields.channel'), value: settings.channelId ? `<#${settings.channelId}>` : notSet, inline: true },
+            { name: t(locale, 'settings.fields.adultChannel'), value: settings.adultChannelId ? `<#${settings.adultChannelId}>` : notSet, inline: true },
+            { name: t(locale, 'settings.fields.prefix'), value: `\`${settings.prefix}\``, inline: true },
+            { name: t(locale, 'settings.fields.language'), value: getLocaleName(settings.locale), inline: true },
+            { name: t(locale, 'settings.fields.mediaTypes'), value: describeMediaTypes(settings.mediaTypes, locale), inline: true },
+            { name: t(locale, 'settings.fields.statuses'), value: describeStatuses(settings.activityStatuses, locale), inline: true },
+            { name: t(locale, 'settings.fields.adult'), value: t(locale, `settings.adultModes.${settings.adultContent}`), inline: true },
+            { name: t(locale, 'settings.fields.features'), value: featureText, inline: false },
+        ],
+        timestamp: new Date().toISOString()
+    };
+
+    await ctx.reply({ embeds: [settingsEmbed] });
+}
+
+// Autocomplete source: AniList names linked on the current server
+function suggestLinkedUsernames(ctx, value) {
+    const search = value.toLowerCase();
+    return getGuildUsers(ctx.guildId)
+        .map(([, user]) => user.name)
+        .filter(name => name.toLowerCase().includes(search))
+        .sort()
+        .map(name => ({ name: name, value: name }));
+}
+
+// The linked account of a member on the current server, or null when they haven't linked one here
+function getLinkedGuildUser(ctx, discordId) {
+    const anilistUser = getUser(discordId);
+    return anilistUser?.guilds.includes(ctx.guildId) ? anilistUser : null;
+}
+
+// Resolves the AniList name for stats commands: own account, a mentioned member or a plain username
+function resolveTargetUsername(ctx, options) {
+    if (options.user && options.username) {
+        return { error: getUsageText(getCommands().find(command => command.name === 'profile'), ctx.prefix, ctx.locale) };
+    }
+
+    if (options.user) {
+        const mentionedAnilistUser = getUser(options.user.id);
+        if (!mentionedAnilistUser?.guilds.includes(ctx.guildId)) {
+            return { error: ctx.t('errors.memberNotLinked', { username: options.user.username }) };
+        }
+        return { username: mentionedAnilistUser.name };
+    }
+
+    if (options.username) {
+        return { username: options.username };
+    }
+
+    const anilistUser = getUser(ctx.user.id);
+    if (!anilistUser) {
+        return { error: ctx.t('errors.linkForStats', { prefix: ctx.prefix }) };
+    }
+    return { username: anilistUser.name };
+}
+
+// Options shared by the personal stats commands
+const STATS_TARGET_OPTIONS = [
+    { name: 'user', type: 'user', description: 'A server member with a linked AniList account' },
+    { name: 'username', description: 'An AniList username', autocomplete: suggestLinkedUsernames },
+];
+
+// Airing alerts follow a member's link right away; the full refresh only runs every few hours
+function refreshAiringSubscriptions(discordId) {
+    refreshMemberSubscriptions(discordId, getUser(discordId))
+        .catch(error => log.warn(`Could not refresh the airing subscriptions of Discord user ${discordId}`, { error }));
+}
+
+// Links the Discord account to an AniList account ({ id, name }) in a guild. With `verified` (ownership
+// proven) anyone else holding the same AniList account loses it everywhere; an admin's assignment only
+// takes it from other members of that guild and leaves the link unverified.
+function assignAniListAccount(discordId, guildId, userData, verified) {
+    const holders = getUserEntries().filter(([otherId, user]) => otherId !== discordId && user.id === userData.id);
+    for (const [otherId, otherUser] of holders) {
+        if (verified) {
+            log.info(`AniList account ${otherUser.name} moved from Discord user ${otherId} to ${discordId}.`);
+            deleteUser(otherId);
+            deleteToken(otherId);
+            refreshAiringSubscriptions(otherId);
+        } else if (otherUser.guilds.includes(guildId)) {
+            log.info(`AniList account ${otherUser.name} moved from Discord user ${otherId} to ${discordId} in guild ${guildId}.`);
+            unlinkFromGuild(otherId, guildId);
+        }
+    }
+
+    // Links are per guild: keep the guilds this account is already linked in
+    const anilistUser = getUser(discordId);
+    const guilds = new Set(anilistUser?.guilds ?? []);
+    guilds.add(guildId);
+
+    if (anilistUser && anilistUser.id !== userData.id) {
+        delete lastActivityId[anilistUser.id];
+        saveState();
+        deleteToken(discordId);
+    }
+    if (anilistUser?.id !== userData.id || !anilistUser.guilds.includes(guildId)) {
+        recordLink(guildId, userData.id, userData.name);
+    }
+    // Relinking the same account keeps its notification preferences, and whether it was verified
+    const isSameAccount = anilistUser?.id === userData.id;
+    setUser(discordId, {
+        ...(isSameAccount ? anilistUser : {}),
+        id: userData.id,
+        name: userData.name,
+        guilds: [...guilds],
+        verified: Boolean(verified || (isSameAccount && anilistUser.verified)),
+    });
+    if (!isSameAccount) refreshAiringSubscriptions(discordId);
+}
+
+// Removes the member's link in one guild, forgetting the account once it isn't linked anywhere
+function unlinkFromGuild(discordId, guildId) {
+    const anilistUser = getUser(discordId);
+    anilistUser.guilds = anilistUser.guilds.filter(id => id !== guildId);
+
+    if (anilistUser.guilds.length === 0) {
+        delete lastActivityId[anilistUser.id]; 
+        deleteUser(discordId);
+        saveState();
+        deleteToken(discordId);
+        refreshAiringSubscriptions(discordId);
+    } else {
+        setUser(discordId, anilistUser);
+    }
+}
+
+function buildLinkedReply(userData, settings, locale) {
+    let reply = t(locale, 'link.linked', { name: userData.name, id: userData.id });
+    if (!settings.channelId) {
+        reply += `\n${t(locale, 'link.noChannel', { prefix: settings.prefix })}`;
+    }
+    return reply;
+}
+
+// Called by the OAuth callback server once a member logged in with AniList.
+// Their token is kept (encrypted) so they can update their list from Discord.
+async function completeOAuthLink({ discordId, guildId }, viewer, token) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+        return t(getDisplayPreferences(null, getUser(discordId)).locale, 'link.guildGone');
+    }
+
+    assignAniListAccount(discordId, guildId, viewer, true);
+    storeToken(discordId, viewer.id, token.accessToken, token.expiresIn);
+    log.info(`Verified AniList account ${viewer.name} for Discord user ${discordId} with OAuth.`);
+
+    const settings = getGuildSettings(guildId);
+    const { locale } = getDisplayPreferences(settings, getUser(discordId));
+    const discordUser = await client.users.fetch(discordId).catch(() => null);
+    await discordUser?.send(buildLinkedReply(viewer, settings, locale)).catch(() => {});
+    return t(locale, 'link.oauthDone', { name: viewer.name, guild: guild.name });
+}
+
+// 1. Link account: !anilist link [AniList_Username], !anilist verify
+// Linking needs proof of ownership: logging in with AniList, or a one-time code in the AniList bio
+registerCommand({
+    name: 'link',
+    category: 'account',
+    description: 'Links your AniList account on this server after verifying that it is yours.',
+    prefix: ['anilist link'],
+    slash: ['anilist', 'link'],
+    options: [
+        { name: 'username', description: 'Your AniList username, to verify with a code in your bio instead of logging in' },
+    ],
+    run: async (ctx, options) => {
+        const usernameToLink = options.username;
+        const discordId = ctx.user.id;
+        const anilistUser = getUser(discordId); 
+        // Members without a stored login log in again, so they can update their list from Discord
+        const needsLogin = !usernameToLink && isOAuthConfigured() && isTokenStorageEnabled() &&
+            !getToken(discordId, anilistUser?.id);
+
+        // Already verified: linking it on another server needs no new proof
+        if (anilistUser?.verified && !needsLogin && (!usernameToLink || usernameToLink.toLowerCase() === anilistUser.name.toLowerCase())) {
+            assignAniListAccount(discordId, ctx.guildId, anilistUser, true);
+            return ctx.reply(buildLinkedReply(anilistUser, ctx.settings, ctx.locale));
+        }
+
+        if (!usernameToLink) {
+            if (!isOAuthConfigured()) {
+                return ctx.reply(ctx.t('link.usage', { prefix: ctx.prefix }));
+            }
+
+            try {
+                await ctx.user.send(ctx.t('link.loginDm', { guild: ctx.guild.name, url: createAuthorizationUrl(discordId, ctx.guildId, ctx.locale) }));
+            } catch (error) {
+                return ctx.reply(ctx.t('link.dmFailed', { prefix: ctx.prefix }));
+            }
+            return ctx.reply(ctx.t('link.loginSent'));
+        }
+        
+        // Validation: check if the user exists on AniList and get ID
+        try {
+            const userData = await findAniListUser(usernameToLink);
+            if (!userData) {
+                return ctx.reply(ctx.t('link.notFound', { username: usernameToLink }));
+            }
+
+            const code = createBioCode(discordId, ctx.guildId, userData);
+            await ctx.reply(ctx.t('link.bioCode', { name: userData.name, code: code, prefix: ctx.prefix }));
+        } catch (error) {
+            await ctx.reply(ctx.t('errors.anilist'));
+            logAniListErrorDetails(error, usernameToLink);
+        }
+    },
+});
+
+registerCommand({
+    name: 'verify',
+    category: 'account',
+    description: 'Checks the code in your AniList bio and finishes linking your account.',
+    prefix: ['anilist verify'],
+    slash: ['anilist', 'verify'],
+    run: async (ctx) => {
+        try {
+            const result = await checkBioCode(ctx.user.id);
+            if (!result) {
+                return ctx.reply(ctx.t('link.noPendingVerification', { prefix: ctx.prefix }));
+            }
+            if (!result.verified) {
+                return ctx.reply(ctx.t('link.codeMissing', { code: result.code, name: result.user.name }));
+            }
+
+            assignAniListAccount(ctx.user.id, result.guildId, result.user, true);
+            await ctx.reply(buildLinkedReply(result.user, getGuildSettings(result.guildId), ctx.locale));
+        } catch (error) {
+            await ctx.reply(ctx.t('errors.anilist'));
+            logAniListErrorDetails(error, ctx.user.username);
+        }
+    },
+});
+
+// 2. Unlink account: !anilist unlink OR !unlink
+registerCommand({
+    name: 'unlink',
+    category: 'account',
+    description: 'Unlinks your connected account from this server.',
+    prefix: ['anilist unlink', 'unlink'],
+    slash: ['anilist', 'unlink'],
+    run: async (ctx) => {
+        const anilistUser = getUser(ctx.user.id); 
+
+        if (!anilistUser?.guilds.includes(ctx.guildId)) {
+            return ctx.reply(ctx.t('link.notLinked'));
+        }
+
+        unlinkFromGuild(ctx.user.id, ctx.guildId);
+        await ctx.reply(ctx.t('link.unlinked', { name: anilistUser.name }));
+    },
+});
+
+// 3. Account Disputes (admins only): !anilist forceunlink @member, !anilist reassign <AniList_Username> @member
+registerCommand({
+    name: 'forceunlink',
+    category: 'settings',
+    description: "Removes a member's AniList link on this server.",
+    prefix: ['anilist forceunlink'],
+    slash: ['anilist', 'forceunlink'],
+    options: [
+        { name: 'user', type: 'user', description: 'The member to unlink', required: true },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        const anilistUser = getUser(options.user.id);
+        if (!anilistUser?.guilds.includes(ctx.guildId)) {
+            return ctx.reply(ctx.t('errors.memberNotLinked', { username: options.user.username }));
+        }
+
+        unlinkFromGuild(options.user.id, ctx.guildId);
+        log.info(`${ctx.user.tag} unlinked AniList account ${anilistUser.name} from Discord user ${options.user.id}.`);
+        await ctx.reply(ctx.t('link.forceUnlinked', { username: options.user.username, name: anilistUser.name }));
+    },
+});
+
+registerCommand({
+    name: 'reassign',
+    category: 'settings',
+    description: 'Links an AniList account to a member on this server, taking it from whoever held it here.',
+    prefix: ['anilist reassign'],
+    slash: ['anilist', 'reassign'],
+    options: [
+        { name: 'username', description: 'The AniList username', required: true },
+        { name: 'user', type: 'user', description: 'The member who owns the account', required: true },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        try {
+            const userData = await findAniListUser(options.username);
+            if (!userData) {
+                return ctx.reply(ctx.t('errors.userNotFound', { username: options.username }));
+            }
+
+            // Members have one account across servers, so an admin can't replace one linked elsewhere
+            const current = getUser(options.user.id);
+            if (current && current.id !== userData.id && current.guilds.some(guildId => guildId !== ctx.guildId)) {
+                return ctx.reply(ctx.t('link.linkedElsewhere', { username: options.user.username, name: current.name }));
+            }
+
+            // An admin's word isn't proof of ownership: the link stays unverified and only applies here
+            assignAniListAccount(options.user.id, ctx.guildId, userData, false);
+            log.info(`${ctx.user.tag} assigned AniList account ${userData.name} to Discord user ${options.user.id}.`);
+            await ctx.reply(ctx.t('link.reassigned', { name: userData.name, username: options.user.username }));
+        } catch (error) {
+            await ctx.reply(ctx.t('errors.anilist'));
+            logAniListErrorDetails(error, options.username);
+        }
+    },
+});
+
+// 4. Notification Preferences: !anilist notify [on|off|statuses|media|adult|dm|reset] [value]
+async function replyNotifyPreferences(ctx, anilistUser, content) {
+    const own = anilistUser.notify ?? {};
+    const preferences = getNotifyPreferences(anilistUser, ctx.settings);
+    const { locale } = ctx;
+    const source = (key) => own[key] === undefined ? ` ${t(locale, 'preferences.serverDefault')}` : '';
+
+    const preferencesEmbed = {
+        color: 0x00CED1,
+        title: t(locale, 'notify.title', { name: anilistUser.name }),
+        fields: [
+            { name: t(locale, 'notify.fields.posting'), value: t(locale, preferences.enabled ? 'notify.on' : 'notify.off'), inline: true },
+            { name: t(locale, 'notify.fields.delivery'), value: t(locale, preferences.dm ? 'notify.dm' : 'notify.channels'), inline: true },
+            { name: t(locale, 'notify.fields.media'), value: describeMediaTypes(preferences.mediaTypes, locale), inline: true },
+            { name: t(locale, 'notify.fields.statuses'), value: describeStatuses(preferences.statuses, locale) + source('statuses'), inline: false },
+            { name: t(locale, 'notify.fields.adult'), value: t(locale, `settings.adultModes.${preferences.adult}`) + source('adult'), inline: false },
+        ],
+        footer: {
+            text: t(locale, 'notify.footer', { prefix: ctx.prefix })
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    await ctx.reply({ content: content, embeds: [preferencesEmbed] });
+}
+
+registerCommand({
+    name: 'notify',
+    category: 'account',
+    description: 'Shows or changes which of your activities get posted, and where.',
+    prefix: ['anilist notify'],
+    slash: ['anilist', 'notify'],
+    options: [
+        { name: 'setting', description: 'The preference to change', choices: ['on', 'off', 'statuses', 'media', 'adult', 'dm', 'reset'] },
+        { name: 'value', description: 'Statuses (e.g. completed,dropped or all), anime/manga/both, hide/spoiler/show or on/off', rest: true },
+    ],
+    run: async (ctx, options) => {
+        const anilistUser = getLinkedGuildUser(ctx, ctx.user.id);
+        if (!anilistUser) {
+            return ctx.reply(ctx.t('notify.linkFirst', { prefix: ctx.prefix }));
+        }
+
+        const { setting } = options;
+        const value = options.value?.toLowerCase();
+
+        if (!setting) {
+            return replyNotifyPreferences(ctx, anilistUser);
+        }
+
+        if (setting === 'reset') {
+            delete anilistUser.notify;
+            setUser(ctx.user.id, anilistUser);
+            return replyNotifyPreferences(ctx, anilistUser, ctx.t('notify.reset'));
+        }
+
+        let changes = null;
+        if (setting === 'on' || setting === 'off') {
+            changes = { enabled: setting === 'on' };
+        } else if (setting === 'statuses' && value && parseStatuses(value)) {
+            changes = { statuses: parseStatuses(value) };
+        } else if (setting === 'media' && ['anime', 'manga', 'both'].includes(value)) {
+            changes = { mediaTypes: value === 'both' ? MEDIA_TYPES : [value.toUpperCase()] };
+        } else if (setting === 'adult' && ADULT_MODES.includes(value)) {
+            changes = { adult: value };
+        } else if (setting === 'dm' && ['on', 'off'].includes(value)) {
+            changes = { dm: value === 'on' };
+        }
+
+        if (!changes) {
+            return ctx.reply(ctx.t('notify.usage', {
+                prefix: ctx.prefix,
+                statuses: ACTIVITY_STATUSES.join(',').toLowerCase(),
+                adultModes: ADULT_MODES.join('|')
+            }));
+        }
+
+        anilistUser.notify = { ...anilistUser.notify, ...changes };
+        setUser(ctx.user.id, anilistUser);
+        await replyNotifyPreferences(ctx, anilistUser, ctx.t('notify.updated'));
+    },
+});
+
+// Display preferences: !anilist preferences [language|titles|timezone|reset] [value]
+async function replyDisplayPreferences(ctx, anilistUser, content) {
+    const own = anilistUser.preferences ?? {};
+    const display = getDisplayPreferences(ctx.settings, anilistUser);
+    const { locale } = display;
+    const source = (key) => own[key] === undefined ? ` ${t(locale, 'preferences.serverDefault')}` : '';
+
+    const preferencesEmbed = {
+        color: 0x00CED1,
+        title: t(locale, 'preferences.title', { name: anilistUser.name }),
+        fields: [
+            { name: t(locale, 'preferences.language'), value: getLocaleName(locale) + source('locale'), inline: true },
+            { name: t(locale, 'preferences.titleLanguage'), value: t(locale, `preferences.titleLanguages.${display.titleLanguage}`), inline: true },
+            {
+                name: t(locale, 'preferences.timezone'),
+                value: display.timezone ? `${display.timezone} (${formatDateTime(new Date(), display)})` : t(locale, 'preferences.botTimezone'),
+                inline: true,
+            },
+        ],
+        footer: {
+            text: t(locale, 'preferences.footer', { prefix: ctx.prefix })
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    await ctx.reply({ content: content, embeds: [preferencesEmbed] });
+}
+
+// Autocomplete source: every value one of the preferences takes, IANA timezone names last
+function suggestPreferenceValues(ctx, value) {
+    const search = value.toLowerCase();
+    return [...LOCALE_CODES, ...TITLE_LANGUAGES, 'default', ...Intl.supportedValuesOf('timeZone')]
+        .filter(choice => choice.toLowerCase().includes(search))
+        .map(choice => ({ name: choice, value: choice }));
+}
+
+registerCommand({
+    name: 'preferences',
+    category: 'account',
+    description: 'Shows or changes your language, title language and timezone.',
+    prefix: ['anilist preferences'],
+    slash: ['anilist', 'preferences'],
+    options: [
+        { name: 'setting', description: 'The preference to change', choices: ['language', 'titles', 'timezone', 'reset'] },
+        { name: 'value', description: 'Language code, romaji/english/native or a timezone such as Europe/Warsaw', autocomplete: suggestPreferenceValues },
+    ],
+    run: async (ctx, options) => {
+        const anilistUser = getLinkedGuildUser(ctx, ctx.user.id);
+        if (!anilistUser) {
+            return ctx.reply(ctx.t('preferences.linkFirst', { prefix: ctx.prefix }));
+        }
+
+        const { setting, value } = options;
+
+        if (!setting) {
+            return replyDisplayPreferences(ctx, anilistUser);
+        }
+
+        if (setting === 'reset') {
+            delete anilistUser.preferences;
+            setUser(ctx.user.id, anilistUser);
+            return replyDisplayPreferences(ctx, anilistUser, t(getDisplayPreferences(ctx.settings, anilistUser).locale, 'preferences.reset'));
+        }
+
+        // "default" clears the language or timezone, so the server's language or the bot's timezone applies
+        const isDefault = value?.toLowerCase() === 'default';
+        let changes = null;
+        if (setting === 'language' && (isDefault || LOCALE_CODES.includes(value?.toLowerCase()))) {
+            changes = { locale: isDefault ? undefined : value.toLowerCase() };
+        } else if (setting === 'titles' && TITLE_LANGUAGES.includes(value?.toLowerCase())) {
+            changes = { titleLanguage: value.toLowerCase() };
+        } else if (setting === 'timezone' && value) {
+            if (!isDefault && !isValidTimezone(value)) {
+                return ctx.reply(ctx.t('preferences.unknownTimezone', { timezone: value }));
+            }
+            changes = { timezone: isDefault ? undefined : new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone };
+        }
+
+        if (!changes) {
+            return ctx.reply(ctx.t('preferences.usage', { prefix: ctx.prefix, locales: LOCALE_CODES.join('|') }));
+        }
+
+        const preferences = { ...anilistUser.preferences, ...changes };
+        Object.keys(preferences).filter(key => preferences[key] === undefined).forEach(key => delete preferences[key]);
+        if (Object.keys(preferences).length > 0) {
+            anilistUser.preferences = preferences;
+        } else {
+            delete anilistUser.preferences;
+        }
+        setUser(ctx.user.id, anilistUser);
+        await replyDisplayPreferences(ctx, anilistUser, t(getDisplayPreferences(ctx.settings, anilistUser).locale, 'preferences.updated'));
+    },
+});
+
+// 5. Personal Stats: !profile, !myanime, !mymanga (tabs of the same profile embed)
+const STATS_COMMANDS = [
+    { name: 'profile', tab: 'overview', description: 'Displays full profile with Anime, Manga and Favourites tabs.' },
+    { name: 'myanime', tab: 'anime', description: 'Displays Anime stats: scores, genres, tags, statuses and formats.' },
+    { name: 'mymanga', tab: 'manga', description: 'Displays Manga stats: scores, genres, tags, statuses and formats.' },
+];
+
+for (const { name, tab, description } of STATS_COMMANDS) {
+    registerCommand({
+        name: name,
+        category: 'stats',
+        description: description,
+        prefix: [name],
+        slash: [name],
+        options: STATS_TARGET_OPTIONS,
+        feature: 'stats',
+        run: async (ctx, options) => {
+            const target = resolveTargetUsername(ctx, options);
+            if (target.error) {
+                return ctx.reply(target.error);
+            }
+            await fetchAndReplyUserStats(target.username, ctx, tab);
+        },
+    });
+}
+
+// Profile tab buttons: anyone can switch tabs of a posted profile
+registerComponentHandler('profile', async (interaction, [userId, tab], settings) => {
+    if (!settings.features.stats || !PROFILE_TABS.includes(tab)) return;
+
+    const display = getDisplayPreferences(settings, getUser(interaction.user.id));
+    await interaction.deferUpdate();
+    try {
+        const userData = await fetchProfile({ id: Number(userId) });
+        await interaction.editReply(buildProfilePage(userData, tab, display));
+    } catch (error) {
+        logAniListErrorDetails(error, `user ${userId}`);
+        await interaction.followUp({ content: t(display.locale, 'errors.statsFetch'), flags: MessageFlags.Ephemeral });
+    }
+});
+
+// 6. Ranking Commands: !top <anime|manga> [metric] [all|week|month], !topanime, !topmanga
+registerCommand({
+    name: 'top',
+    category: 'leaderboards',
+    description: 'Ranks members by titles, episodes/chapters, minutes, volumes or mean score, all-time, weekly or monthly.',
+    prefix: ['top'],
+    aliases: [
+        { trigger: 'topanime', options: { type: 'anime' } },
+        { trigger: 'topmanga', options: { type: 'manga' } },
+    ],
+    slash: ['top'],
+    options: [
+        { name: 'type', description: 'Rank by Anime or Manga', choices: ['anime', 'manga'], required: true },
+        { name: 'metric', description: 'What to rank by (default: count)', choices: METRIC_NAMES },
+        { name: 'window', description: 'Time window (default: all)', choices: WINDOW_NAMES },
+    ],
+    feature: 'leaderboards',
+    run: async (ctx, options) => {
+        const type = options.type;
+        const metricName = options.metric ?? 'count';
+        const windowName = options.window ?? 'all';
+
+        const validationError = validateLeaderboardOptions(type, metricName, windowName, ctx.locale);
+        if (validationError) {
+            return ctx.reply(validationError);
+        }
+
+        const guildUsers = getGuildUsers(ctx.guildId);
+        if (guildUsers.length === 0) {
+            return ctx.reply(ctx.t('leaderboard.noUsers'));
+        }
+
+        const ranking = await buildRanking(guildUsers, type, metricName, windowName);
+        await ctx.reply(buildLeaderboardPage(ranking, {
+            type, metricName, windowName, page: 0, viewerId: ctx.user.id, locale: ctx.locale
+        }));
+    },
+});
+
+// Leaderboard page buttons: anyone can page, and the clicking member's rank is highlighted
+registerComponentHandler('top', async (interaction, [type, metricName, windowName, page], settings) => {
+    if (!settings.features.leaderboards || validateLeaderboardOptions(type, metricName, windowName)) return;
+
+    const { locale } = getDisplayPreferences(settings, getUser(interaction.user.id));
+    await interaction.deferUpdate();
+    const ranking = await buildRanking(getGuildUsers(interaction.guildId), type, metricName, windowName);
+    await interaction.editReply(buildLeaderboardPage(ranking, {
+        type, metricName, windowName, page: Number(page), viewerId: interaction.user.id, locale
+    }));
+});
+
+// 7. List Connected Accounts: !stats
+registerCommand({
+    name: 'stats',
+    category: 'leaderboards',
+    description: "Lists this server's connected Discord accounts with their AniList names.",
+    prefix: ['stats'],
+    slash: ['stats'],
+    feature: 'leaderboards',
+    run: async (ctx) => {
+        const connectedUsers = getGuildUsers(ctx.guildId);
+        
+        if (connectedUsers.length === 0) {
+            return ctx.reply(ctx.t('accounts.empty'));
+        }
+        
+        const userList = connectedUsers.map(([id, user]) => {
+            const member = ctx.guild.members.cache.get(id);
+            const tag = member ? member.user.tag : ctx.t('accounts.unknownUser');
+            
+            return `**${tag}** → \`${user.name}\` (ID: ${user.id})${user.verified ? ' ✅' : ''}`;
+        }).join('\n');
+        
+        const statsEmbed = {
+            color: 0x4B0082,
+            title: ctx.t('accounts.title', { count: connectedUsers.length }),
+            description: userList,
+            footer: {
+                text: ctx.t('accounts.footer', { prefix: ctx.prefix })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await ctx.reply({ embeds: [statsEmbed] });
+    },
+});
+
+// Embed field with the caller's own list entry for a media, or null when it isn't on their list
+async function buildListField(discordId, media, locale) {
+    const anilistUser = getUser(discordId);
+    if (!anilistUser) return null;
+
+    const entry = await fetchListEntry(anilistUser.id, media.id).catch(error => {
+        logAniListErrorDetails(error, anilistUser.name);
+        return null;
+    });
+    if (!entry) return null;
+
+    let value = `**${anilistUser.name}** ${describeStatus(entry.status, locale)}`;
+    if (entry.progress) {
+        value += `\n${t(locale, media.type === 'ANIME' ? 'media.list.episode' : 'media.list.chapter', { progress: entry.progress })}`;
+    }
+    if (entry.score) {
+        value += `\n${t(locale, 'media.list.score', { score: entry.score })}`;
+    }
+    return { name: t(locale, 'media.list.title'), value: value, inline: false };
+}
+
+async function replyMediaLookup(ctx, query, type) {
+    const typeKey = type.toLowerCase();
+
+    try {
+        const reference = parseMediaReference(query);
+        if (reference) {
+            const media = await fetchMediaById(reference.id, reference.type ?? type);
+            if (!media) {
+                return ctx.reply(ctx.t(`media.notFoundById.${typeKey}`, { id: reference.id }));
+            }
+            return ctx.reply({ embeds: [buildMediaEmbed(media, await buildListField(ctx.user.id, media, ctx.locale), ctx.display)] });
+        }
+
+        const results = await searchMedia(query, type);
+        if (results.length === 0) {
+            return ctx.reply(ctx.t(`media.notFound.${typeKey}`, { query: query }));
+        }
+
+        if (isAmbiguousSearch(query, results)) {
+            return ctx.reply({
+                content: ctx.t('media.pick', { count: results.length, query: query }),
+                components: [buildMediaPicker(results, ctx.user.id, ctx.display)]
+            });
+        }
+
+        const listField = await buildListField(ctx.user.id, results[0], ctx.locale);
+        await ctx.reply({ embeds: [buildMediaEmbed(results[0], listField, ctx.display)] });
+    } catch (error) {
+        logAniListErrorDetails(error, query);
+        await ctx.reply(ctx.t(`media.searchFailed.${typeKey}`));
+    }
+}
+
+// 8. Anime / Manga Lookup: !anime <title|ID|URL>, !manga <title|ID|URL>
+for (const type of ['ANIME', 'MANGA']) {
+    const name = type.toLowerCase();
+
+    registerCommand({
+        name: name,
+        category: 'media',
+        description: `Looks up ${type === 'ANIME' ? 'an anime' : 'a manga'} by title, AniList ID or URL.`,
+        prefix: [name],
+        slash: [name],
+        options: [
+            { name: 'title', description: 'Title, AniList ID or AniList URL', required: true, rest: true },
+        ],
+        feature: 'lookup',
+        run: async (ctx, options) => {
+            await replyMediaLookup(ctx, options.title, type);
+        },
+    });
+}
+
+// Picker shown for ambiguous searches: replaces the picker with the chosen title's embed
+registerComponentHandler('media', async (interaction, [ownerId], settings) => {
+    const display = getDisplayPreferences(settings, getUser(interaction.user.id));
+    if (interaction.user.id !== ownerId) {
+        return interaction.reply({ content: t(display.locale, 'media.pickDenied'), flags: MessageFlags.Ephemeral });
+    }
+
+    await interaction.deferUpdate();
+    const media = await fetchMediaById(Number(interaction.values[0]));
+    if (!media) {
+        return interaction.editReply({ content: t(display.locale, 'media.loadFailed'), components: [] });
+    }
+
+    const listField = await buildListField(interaction.user.id, media, display.locale);
+    await interaction.editReply({ content: '', embeds: [buildMediaEmbed(media, listField, display)], components: [] });
+});
+
+// 9. Airing Schedule: !airing
+registerCommand({
+    name: 'airing',
+    category: 'airing',
+    description: "Shows episodes airing in the next 7 days from members' Watching and Planning lists.",
+    prefix: ['airing'],
+    slash: ['airing'],
+    feature: 'airing',
+    run: async (ctx) => {
+        try {
+            const embed = await buildUpcomingAiringEmbed(ctx.guild, getGuildUsers(ctx.guildId), getUserEntries(), ctx.display);
+            await ctx.reply({ embeds: [embed] });
+        } catch (error) {
+            logAniListErrorDetails(error, 'airing schedule');
+            await ctx.reply(ctx.t('airing.fetchFailed'));
+        }
+    },
+});
+
+// 10. Activity Threads: !thread <activity URL|ID>, and the thread button under feed posts
+registerCommand({
+    name: 'thread',
+    category: 'activity',
+    description: 'Shows the latest replies on an AniList activity.',
+    prefix: ['thread'],
+    slash: ['thread'],
+    options: [
+        { name: 'activity', description: 'Activity URL or ID', required: true },
+    ],
+    feature: 'activity',
+    run: async (ctx, options) => {
+        const activityId = parseActivityReference(options.activity);
+        if (!activityId) {
+            return ctx.reply(ctx.t('thread.invalidReference'));
+        }
+
+        try {
+            const activity = await fetchActivityThread(activityId);
+            if (!activity) {
+                return ctx.reply(ctx.t('thread.notFound', { id: activityId }));
+            }
+            await ctx.reply({ embeds: [buildThreadEmbed(activity, ctx.locale)] });
+        } catch (error) {
+            logAniListErrorDetails(error, `activity ${activityId}`);
+            await ctx.reply(ctx.t('thread.fetchFailed'));
+        }
+    },
+});
+
+// Thread button: shows the replies only to the member who clicked, so the feed stays tidy
+registerComponentHandler('thread', async (interaction, [activityId], settings) => {
+    if (!settings.features.activity) return;
+
+    const { locale } = getDisplayPreferences(settings, getUser(interaction.user.id));
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    try {
+        const activity = await fetchActivityThread(Number(activityId));
+        await interaction.editReply(activity
+            ? { embeds: [buildThreadEmbed(activity, locale)] }
+            : { content: t(locale, 'thread.gone') });
+    } catch (error) {
+        logAniListErrorDetails(error, `activity ${activityId}`);
+        await interaction.editReply({ content: t(locale, 'thread.fetchFailed') });
+    }
+});
+
+// 11. Taste Compatibility: !compare @a [@b], !affinity
+registerCommand({
+    name: 'compare',
+    category: 'social',
+    description: "Compares your list with a member's (or two members' lists): shared titles, scores and affinity.",
+    prefix: ['compare'],
+    slash: ['compare'],
+    options: [
+        { name: 'user', type: 'user', description: 'The member to compare with', required: true },
+        { name: 'other', type: 'user', description: 'Compare this member with the first one instead of yourself' },
+    ],
+    feature: 'social',
+    run: async (ctx, options) => {
+        const [first, second] = options.other ? [options.user, options.other] : [ctx.user, options.user];
+        if (first.id === second.id) {
+            return ctx.reply(ctx.t('compare.sameMember'));
+        }
+
+        const userA = getLinkedGuildUser(ctx, first.id);
+        const userB = getLinkedGuildUser(ctx, second.id);
+        if (!userA || !userB) {
+            const unlinked = userA ? second : first;
+            return ctx.reply(unlinked.id === ctx.user.id
+                ? ctx.t('compare.linkFirst', { prefix: ctx.prefix })
+                : ctx.t('errors.memberNotLinked', { username: unlinked.username }));
+        }
+
+        try {
+            const comparison = await compareUsers(userA, userB);
+            await ctx.reply({ embeds: [buildComparisonEmbed(userA, userB, comparison, ctx.display)] });
+        } catch (error) {
+            logAniListErrorDetails(error, `${userA.name} and ${userB.name}`);
+            await ctx.reply(ctx.t(error.notFound ? 'compare.listPrivate' : 'errors.listsFetch'));
+        }
+    },
+});
+
+registerCommand({
+    name: 'affinity',
+    category: 'social',
+    description: 'Ranks the members of this server by how well their taste matches yours.',
+    prefix: ['affinity'],
+    slash: ['affinity'],
+    feature: 'social',
+    run: async (ctx) => {
+        const viewer = getLinkedGuildUser(ctx, ctx.user.id);
+        if (!viewer) {
+            return ctx.reply(ctx.t('affinity.linkFirst', { prefix: ctx.prefix }));
+        }
+
+        const members = getGuildUsers(ctx.guildId).filter(([discordId]) => discordId !== ctx.user.id);
+        if (members.length === 0) {
+            return ctx.reply(ctx.t('affinity.noMembers'));
+        }
+
+        try {
+            const affinity = await buildAffinityRanking(viewer, members);
+            await ctx.reply({ embeds: [buildAffinityEmbed(viewer, affinity, ctx.locale)] });
+        } catch (error) {
+            logAniListErrorDetails(error, viewer.name);
+            await ctx.reply(ctx.t(error.notFound ? 'errors.ownListPrivate' : 'errors.listsFetch'));
+        }
+    },
+});
+
+// Autocomplete source: AniList genres
+async function suggestGenres(ctx, value) {
+    const search = value.toLowerCase();
+    const genres = await fetchGenres().catch(() => []);
+    return genres
+        .filter(genre => genre.toLowerCase().includes(search))
+        .map(genre => ({ name: genre, value: genre }));
+}
+
+// 12. Recommendations: !recommend [anime|manga] [genre:<genre>] [planning:exclude]
+registerCommand({
+    name: 'recommend',
+    category: 'social',
+    description: "Suggests titles that members with similar taste rated highly and you haven't seen yet.",
+    prefix: ['recommend'],
+    slash: ['recommend'],
+    options: [
+        { name: 'type', description: 'Anime or Manga (default: anime)', choices: ['anime', 'manga'] },
+        { name: 'genre', description: 'Only recommend titles of this genre', autocomplete: suggestGenres },
+        { name: 'planning', description: 'Include titles on your Planning list (default: include)', choices: ['include', 'exclude'] },
+    ],
+    feature: 'social',
+    run: async (ctx, options) => {
+        const viewer = getLinkedGuildUser(ctx, ctx.user.id);
+        if (!viewer) {
+            return ctx.reply(ctx.t('recommend.linkFirst', { prefix: ctx.prefix }));
+        }
+
+        try {
+            const genre = options.genre ? await findGenre(options.genre) : null;
+            if (options.genre && !genre) {
+                const genres = await fetchGenres();
+                return ctx.reply(ctx.t('recommend.unknownGenre', {
+                    genre: options.genre,
+                    genres: genres.map(name => `\`${name}\``).join(', ')
+                }));
+            }
+
+            const filters = {
+                type: (options.type ?? 'anime').toUpperCase(),
+                genre: genre,
+                excludePlanning: options.planning === 'exclude',
+            };
+            const members = getGuildUsers(ctx.guildId).filter(([discordId]) => discordId !== ctx.user.id);
+            const results = await buildRecommendations(viewer, members, filters);
+            await ctx.reply({ embeds: [buildRecommendationEmbed(viewer, results, filters, ctx.display)] });
+        } catch (error) {
+            logAniListErrorDetails(error, viewer.name);
+            await ctx.reply(ctx.t(error.notFound ? 'errors.ownListPrivate' : 'recommend.fetchFailed'));
+        }
+    },
+});
+
+// 13. List Updates: !watched <title> [episode], !read <title> [chapter], !rate <title> <score>,
+// !setstatus <title> <status>, and the +1 button under feed posts
+
+// Runs `update(anilistUser, token, display)` as the member with their stored AniList login and returns the reply.
+// The member is polled right after, so the change reaches the feed without waiting for their poll interval.
+async function runListUpdate(discordId, guildId, prefix, update) {
+    const anilistUser = getUser(discordId);
+    const display = getDisplayPreferences(getGuildSettings(guildId), anilistUser);
+    const { locale } = display;
+    if (!anilistUser?.guilds.includes(guildId)) {
+        return t(locale, 'listUpdates.linkFirst', { prefix: prefix });
+    }
+
+    const token = getToken(discordId, anilistUser.id);
+    if (!token) {
+        return isOAuthConfigured() && isTokenStorageEnabled()
+            ? t(locale, 'listUpdates.loginFirst', { prefix: prefix })
+            : t(locale, 'listUpdates.unavailable');
+    }
+
+    try {
+        const reply = await update(anilistUser, token, display);
+        pollSoon(anilistUser.id);
+        return reply;
+    } catch (error) {
+        // AniList revoked the token, or the member removed the app from their account
+        if (error.status === 401) {
+            deleteToken(discordId);
+            return t(locale, 'listUpdates.loginExpired', { prefix: prefix });
+        }
+        logAniListErrorDetails(error, anilistUser.name);
+        return t(locale, 'listUpdates.failed');
+    }
+}
+
+for (const type of ['ANIME', 'MANGA']) {
+    const name = type === 'ANIME' ? 'watched' : 'read';
+    const unit = type === 'ANIME' ? 'episode' : 'chapter';
+
+    registerCommand({
+        name: name,
+        category: 'list',
+        description: `Sets your progress on ${type === 'ANIME' ? 'an anime' : 'a manga'}, or adds one ${unit} without a number.`,
+        prefix: [name],
+        slash: [name],
+        options: [
+            { name: 'title', description: 'Title, AniList ID or AniList URL', required: true, rest: true },
+            { name: unit, type: 'integer', description: `The ${unit} you're at (default: one more than on your list)` },
+        ],
+        feature: 'updates',
+        run: async (ctx, options) => {
+            const reply = await runListUpdate(ctx.user.id, ctx.guildId, ctx.prefix, async (anilistUser, token, display) => {
+                const { media, number } = await findMediaToUpdate(options.title, type, options[unit]);
+                if (!media) {
+                    return t(display.locale, `media.notFound.${type.toLowerCase()}`, { query: options.title });
+                }
+                if (number !== undefined && (!Number.isInteger(number) || number < 0)) {
+                    return t(display.locale, `listUpdates.invalidNumber.${unit}`);
+                }
+                return updateProgress(token, anilistUser.id, media, number, display);
+            });
+            await ctx.reply(reply);
+        },
+    });
+}
+
+registerCommand({
+    name: 'rate',
+    category: 'list',
+    description: 'Scores an anime or manga on your list out of 10.',
+    prefix: ['rate'],
+    slash: ['rate'],
+    options: [
+        { name: 'title', description: 'Title, AniList ID or AniList URL', required: true, rest: true },
+        { name: 'score', description: 'Your score from 0 to 10 (e.g. 8 or 8.5)', required: true },
+    ],
+    feature: 'updates',
+    run: async (ctx, options) => {
+        const score = Number(options.score);
+        if (!(score >= 0 && score <= 10)) {
+            return ctx.reply(ctx.t('listUpdates.invalidScore'));
+        }
+
+        const reply = await runListUpdate(ctx.user.id, ctx.guildId, ctx.prefix, async (anilistUser, token, display) => {
+            const { media } = await findMediaToUpdate(options.title, null, null);
+            if (!media) {
+                return t(display.locale, 'media.notFound.any', { query: options.title });
+            }
+            return rateMedia(token, anilistUser.id, media, score, display);
+        });
+        await ctx.reply(reply);
+    },
+});
+
+registerCommand({
+    name: 'setstatus',
+    category: 'list',
+    description: 'Moves an anime or manga on your list, e.g. to completed, paused or planning.',
+    prefix: ['setstatus'],
+    slash: ['setstatus'],
+    options: [
+        { name: 'title', description: 'Title, AniList ID or AniList URL', required: true, rest: true },
+        { name: 'status', description: 'watching, reading, planning, completed, paused, dropped or rewatching', required: true, autocomplete: suggestListStatuses },
+    ],
+    feature: 'updates',
+    run: async (ctx, options) => {
+        const status = parseListStatus(options.status);
+        if (!status) {
+            return ctx.reply(ctx.t('listUpdates.unknownStatus'));
+        }
+
+        const reply = await runListUpdate(ctx.user.id, ctx.guildId, ctx.prefix, async (anilistUser, token, display) => {
+            const { media } = await findMediaToUpdate(options.title, null, null);
+            if (!media) {
+                return t(display.locale, 'media.notFound.any', { query: options.title });
+            }
+            return setListStatus(token, media, status, display);
+        });
+        await ctx.reply(reply);
+    },
+});
+
+// +1 button: adds an episode or chapter to the list of the member who clicked, not the poster's
+registerComponentHandler('progress', async (interaction, [mediaId], settings) => {
+    if (!settings.features.updates) return;
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const reply = await runListUpdate(interaction.user.id, interaction.guildId, settings.prefix, async (anilistUser, token, display) => {
+        const media = await fetchMediaById(Number(mediaId));
+        if (!media) {
+            return t(display.locale, 'media.loadFailed');
+        }
+        return updateProgress(token, anilistUser.id, media, undefined, display);
+    });
+    await interaction.editReply({ content: reply });
+});
+
+// 14. Server Settings (admins only): !anilist setchannel, !anilist setadultchannel, !anilist config
+registerCommand({
+    name: 'setchannel',
+    category: 'settings',
+    description: 'Sets the channel for activity updates (defaults to the current channel).',
+    prefix: ['anilist setchannel'],
+    slash: ['anilist', 'setchannel'],
+    options: [
+        { name: 'channel', type: 'channel', description: 'The channel to post activity updates in' },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        const channel = options.channel ?? ctx.channel;
+        if (channel.guildId !== ctx.guildId || !channel.isTextBased()) {
+            return ctx.reply(ctx.t('settings.textChannelRequired'));
+        }
+        updateGuildSettings(ctx.guildId, { channelId: channel.id });
+        await ctx.reply(ctx.t('settings.channelSet', { channel: `<#${channel.id}>` }));
+    },
+});
+
+registerCommand({
+    name: 'setadultchannel',
+    category: 'settings',
+    description: 'Sets an age-restricted channel for activity on adult titles (defaults to the current channel).',
+    prefix: ['anilist setadultchannel'],
+    slash: ['anilist', 'setadultchannel'],
+    options: [
+        { name: 'channel', type: 'channel', description: 'An age-restricted channel for activity on adult titles' },
+        { name: 'disable', description: 'Post adult titles in the notification channel again', choices: ['off'] },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        if (options.disable) {
+            updateGuildSettings(ctx.guildId, { adultChannelId: null });
+            return ctx.reply(ctx.t('settings.adultChannelCleared'));
+        }
+
+        const channel = options.channel ?? ctx.channel;
+        if (channel.guildId !== ctx.guildId || !channel.isTextBased()) {
+            return ctx.reply(ctx.t('settings.textChannelRequired'));
+        }
+        if (!channel.nsfw) {
+            return ctx.reply(ctx.t('settings.adultChannelNotNsfw'));
+        }
+        updateGuildSettings(ctx.guildId, { adultChannelId: channel.id });
+        await ctx.reply(ctx.t('settings.adultChannelSet', { channel: `<#${channel.id}>` }));
+    },
+});
+
+registerCommand({
+    name: 'config',
+    category: 'settings',
+    description: 'Shows or changes the prefix, language, tracked media, features and default activity filters.',
+    prefix: ['anilist config'],
+    slash: ['anilist', 'config'],
+    options: [
+        { name: 'setting', description: 'The setting to change', choices: ['prefix', 'language', 'media', 'feature', 'statuses', 'adult'] },
+        { name: 'value', description: 'New prefix, language code, media type, feature name, statuses (e.g. completed,dropped) or adult mode' },
+        { name: 'toggle', description: 'Turn the feature on or off', choices: ['on', 'off'] },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        const { setting, toggle } = options;
+        const value = options.value?.toLowerCase();
+
+        if (!setting) {
+            return replyGuildSettings(ctx, ctx.settings);
+        }
+
+        if (setting === 'prefix' && options.value && !toggle) {
+            if (options.value.length > MAX_PREFIX_LENGTH) {
+                return ctx.reply(ctx.t('settings.prefixTooLong', { max: MAX_PREFIX_LENGTH }));
+            }
+            const updated = updateGuildSettings(ctx.guildId, { prefix: options.value });
+            return ctx.reply(ctx.t('settings.prefixChanged', { prefix: updated.prefix }));
+        }
+
+        // Confirmed in the new language, unless the admin chose their own with !anilist preferences
+        if (setting === 'language' && LOCALE_CODES.includes(value)) {
+            const updated = updateGuildSettings(ctx.guildId, { locale: value });
+            const { locale } = getDisplayPreferences(updated, getUser(ctx.user.id));
+            return ctx.reply(t(locale, 'settings.languageChanged', { language: getLocaleName(updated.locale), prefix: ctx.prefix }));
+        }
+
+        if (setting === 'media' && ['anime', 'manga', 'both'].includes(value)) {
+            const mediaTypes = value === 'both' ? MEDIA_TYPES : [value.toUpperCase()];
+            const updated = updateGuildSettings(ctx.guildId, { mediaTypes });
+            return ctx.reply(ctx.t('settings.mediaTypesChanged', { mediaTypes: describeMediaTypes(updated.mediaTypes, ctx.locale) }));
+        }
+
+        if (setting === 'feature' && FEATURES[value] && toggle) {
+            updateGuildSettings(ctx.guildId, { features: { [value]: toggle === 'on' } });
+            return ctx.reply(ctx.t(toggle === 'on' ? 'settings.featureEnabled' : 'settings.featureDisabled', { feature: value }));
+        }
+
+        // Defaults for members who haven't chosen their own with !anilist notify
+        if (setting === 'statuses' && value && parseStatuses(value)) {
+            const updated = updateGuildSettings(ctx.guildId, { activityStatuses: parseStatuses(value) });
+            return ctx.reply(ctx.t('settings.statusesChanged', { statuses: describeStatuses(updated.activityStatuses, ctx.locale) }));
+        }
+
+        if (setting === 'adult' && ADULT_MODES.includes(value)) {
+            const updated = updateGuildSettings(ctx.guildId, { adultContent: value });
+            return ctx.reply(ctx.t(`settings.adultModeChanged.${updated.adultContent}`));
+        }
+
+        await ctx.reply(ctx.t('settings.usage', {
+            prefix: ctx.prefix,
+            locales: LOCALE_CODES.join('|'),
+            features: Object.keys(FEATURES).join('|'),
+            statuses: ACTIVITY_STATUSES.join(',').toLowerCase(),
+            adultModes: ADULT_MODES.join('|')
+        }));
+    },
+});
+
+// 15. Data Export / Import (admins only): !anilist export, !anilist import [dry-run|apply] (with the archive attached)
+registerCommand({
+    name: 'export',
+    category: 'settings',
+    description: "Exports this server's links, settings and activity cursors as a JSON archive.",
+    prefix: ['anilist export'],
+    slash: ['anilist', 'export'],
+    adminOnly: true,
+    run: async (ctx) => {
+        const archive = buildArchive(ctx.guildId, getGuildUsers(ctx.guildId), ctx.settings, lastActivityId);
+        const fileName = `anilist-bot-${ctx.guildId}-${archive.exportedAt.slice(0, 10)}.json`;
+
+        log.info(`${ctx.user.tag} exported the data of guild ${ctx.guildId}.`);
+        await ctx.reply({
+            content: ctx.t('archive.exported', { count: Object.keys(archive.users).length, prefix: ctx.prefix }),
+            files: [{ attachment: Buffer.from(JSON.stringify(archive, null, 2)), name: fileName }],
+        });
+    },
+});
+
+// Applies a planned import: links and unlinks members in the guild, then restores settings and cursors.
+// An archive proves nothing about who owns an account, so new links are unverified.
+function applyImportPlan(guildId, plan) {
+    for (const { discordId, user } of plan.link) {
+        const anilistUser = getUser(discordId);
+        if (anilistUser) {
+            anilistUser.guilds.push(guildId);
+            setUser(discordId, anilistUser);
+            continue;
+        }
+        setUser(discordId, {
+            id: user.id,
+            name: user.name,
+            guilds: [guildId],
+            verified: false,
+            ...(user.notify ? { notify: user.notify } : {}),
+            ...(user.preferences ? { preferences: user.preferences } : {}),
+        });
+        refreshAiringSubscriptions(discordId);
+    }
+
+    for (const { discordId } of plan.unlink) {
+        unlinkFromGuild(discordId, guildId);
+    }
+
+    if (Object.keys(plan.settings).length > 0) {
+        updateGuildSettings(guildId, plan.settings);
+    }
+    if (Object.keys(plan.cursors).length > 0) {
+        Object.assign(lastActivityId, plan.cursors);
+        saveState();
+    }
+}
+
+registerCommand({
+    name: 'import',
+    category: 'settings',
+    description: 'Imports an archive from !anilist export. Shows the changes first unless the mode is apply.',
+    prefix: ['anilist import'],
+    slash: ['anilist', 'import'],
+    options: [
+        { name: 'file', type: 'attachment', description: 'The exported archive (.json)', required: true },
+        { name: 'mode', description: 'dry-run previews the changes, apply makes them (default: dry-run)', choices: ['dry-run', 'apply'] },
+    ],
+    adminOnly: true,
+    run: async (ctx, options) => {
+        let result;
+        try {
+            result = await downloadArchive(options.file);
+        } catch (error) {
+            log.error("Error downloading an import archive", { error });
+            return ctx.reply(ctx.t('archive.downloadFailed'));
+        }
+        if (result.error) {
+            return ctx.reply(`❌ ${ctx.t(result.error, result.params)}`);
+        }
+
+        // The problems name fields of the archive format, so they aren't translated
+        const errors = validateArchive(result.archive);
+        if (errors.length > 0) {
+            return ctx.reply(`${ctx.t('archive.invalid')}\n${errors.map(error => `• ${error}`).join('\n')}`);
+        }
+
+        const apply = options.mode === 'apply';
+        // Same check as setchannel: the channel has to be a text channel of this server
+        const isGuildChannel = (channelId) => {
+            const channel = client.channels.cache.get(channelId);
+            return channel?.guildId === ctx.guildId && channel.isTextBased();
+        };
+        const plan = planImport(result.archive, ctx.guildId, Object.fromEntries(getUserEntries()), ctx.settings, lastActivityId, isGuildChannel);
+        if (apply) {
+            applyImportPlan(ctx.guildId, plan);
+            log.info(`${ctx.user.tag} imported an archive into guild ${ctx.guildId}.`);
+        }
+        await ctx.reply({ embeds: [buildImportEmbed(plan, { applied: apply, prefix: ctx.prefix, locale: ctx.locale })] });
+    },
+});
+
+// 16. Server Digest (admins only): !digest [week|month]
+registerCommand({
+    name: 'digest',
+    category: 'settings',
+    description: "Posts the server's digest for the last week or month now (otherwise posted on Mondays and the 1st).",
+    prefix: ['digest'],
+    slash: ['digest'],
+    options: [
+        { name: 'period', description: 'week or month (default: week)', choices: DIGEST_WINDOW_NAMES },
+    ],
+    adminOnly: true,
+    feature: 'digest',
+    run: async (ctx, options) => {
+        const digest = buildDigest(ctx.guildId, getGuildUsers(ctx.guildId), options.period ?? 'week');
+        await ctx.reply({ embeds: [buildDigestEmbed(ctx.guild.name, digest, ctx.display)] });
+    },
+});
+
+// 17. Bot Status (admins only): !anilist status
+registerCommand({
+    name: 'status',
+    category: 'settings',
+    description: 'Shows whether activity polling is healthy, AniList API usage, feed posts and failing users.',
+    prefix: ['anilist status'],
+    slash: ['anilist', 'status'],
+    adminOnly: true,
+    run: async (ctx) => {
+        const userIds = new Set(getGuildUsers(ctx.guildId).map(([, user]) => user.id));
+        await ctx.reply({ embeds: [buildStatusEmbed(() => client.isReady(), userIds, ctx.locale)] });
+    },
+});
+
+// 18. Help Command: !anihelp or !anilist help
+registerCommand({
+    name: 'help',
+    category: 'help',
+    description: 'Displays this command list.',
+    prefix: ['anihelp', 'anilist help'],
+    slash: ['help'],
+    run: async (ctx) => {
+        const settings = ctx.settings;
+        const channelName = settings.channelId ? ctx.guild.channels.cache.get(settings.channelId)?.name : null;
+
+        const helpEmbed = {
+            color: 0x00CED1,
+            title: ctx.t('help.title'),
+            description: ctx.t('help.description'),
+            fields: buildHelpFields(ctx.prefix, ctx.locale),
+            footer: {
+                text: channelName
+                    ? ctx.t('help.trackedIn', { channel: channelName })
+                    : ctx.t('help.noChannel', { prefix: ctx.prefix })
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+        await ctx.reply({ embeds: [helpEmbed] });
+    },
+});
+
+// 19. Quiz Game: !quiz [easy|normal|hard] [rounds] [members|trending], !quiz stop, !topquiz
+registerCommand({
+    name: 'quiz',
+    category: 'quiz',
+    description: "Starts a guess-the-anime quiz with covers and descriptions of titles from members' lists or AniList trending.",
+    prefix: ['quiz'],
+    slash: ['quiz', 'start'],
+    options: [
+        { name: 'difficulty', description: 'How well known the titles are (default: normal)', choices: DIFFICULTY_NAMES },
+        { name: 'rounds', type: 'integer', description: `Number of rounds, 1 to ${MAX_ROUNDS} (default: ${DEFAULT_ROUNDS})` },
+        { name: 'source', description: "Titles from members' lists or AniList trending (default: members)", choices: QUIZ_SOURCES },
+    ],
+    feature: 'quiz',
+    run: async (ctx, options) => {
+        const rounds = options.rounds ?? DEFAULT_ROUNDS;
+        if (rounds < 1 || rounds > MAX_ROUNDS) {
+            return ctx.reply(ctx.t('quiz.roundsRange', { max: MAX_ROUNDS }));
+        }
+
+        const difficulty = options.difficulty ?? 'normal';
+        const source = options.source ?? 'members';
+        // Everyone in the channel plays, so the quiz speaks the server's language
+        const locale = ctx.settings.locale;
+
+        let result;
+        try {
+            result = await startQuiz(ctx.channel, {
+                guildId: ctx.guildId,
+                startedBy: ctx.user.id,
+                users: getGuildUsers(ctx.guildId),
+                rounds, difficulty, source, locale,
+                prefix: ctx.prefix,
+            });
+        } catch (error) {
+            logAniListErrorDetails(error, 'quiz titles');
+            return ctx.reply(ctx.t('quiz.fetchFailed'));
+        }
+
+        if (result.error) {
+            return ctx.reply(ctx.t(result.error, { prefix: ctx.prefix, difficulty: difficulty }));
+        }
+        log.info(`${ctx.user.tag} started a quiz in channel ${ctx.channel.id}.`, { rounds: result.rounds, difficulty, source });
+        await ctx.reply(t(locale, 'quiz.starting', {
+            rounds: t(locale, 'quiz.rounds', { count: result.rounds }),
+            difficulty: t(locale, `quiz.difficulties.${difficulty}`),
+            source: t(locale, `quiz.sources.${source}`),
+            seconds: QUIZ_ROUND_SECONDS,
+        }));
+    },
+});
+
+registerCommand({
+    name: 'quizstop',
+    category: 'quiz',
+    description: 'Ends the quiz in this channel after the current round (whoever started it, or admins).',
+    prefix: ['quiz stop'],
+    slash: ['quiz', 'stop'],
+    feature: 'quiz',
+    run: async (ctx) => {
+        const session = getQuizSession(ctx.channel.id);
+        if (!session) {
+            return ctx.reply(ctx.t('quiz.notRunning'));
+        }
+        if (session.startedBy !== ctx.user.id && !ctx.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+            return ctx.reply(ctx.t('quiz.stopDenied'));
+        }
+
+        stopQuiz(ctx.channel.id);
+        await ctx.reply(ctx.t('quiz.stopping'));
+    },
+});
+
+registerCommand({
+    name: 'topquiz',
+    category: 'leaderboards',
+    description: "Ranks this server's members by their all-time quiz points.",
+    prefix: ['topquiz', 'quiz top'],
+    slash: ['topquiz'],
+    feature: 'quiz',
+    run: async (ctx) => {
+        await ctx.reply(buildQuizLeaderboardPage(ctx.guildId, { page: 0, viewerId: ctx.user.id, locale: ctx.locale }));
+    },
+});
+
+// Quiz leaderboard page buttons, like the !top ones
+registerComponentHandler('topquiz', async (interaction, [page], settings) => {
+    if (!settings.features.quiz) return;
+
+    const { locale } = getDisplayPreferences(settings, getUser(interaction.user.id));
+    await interaction.deferUpdate();
+    await interaction.editReply(buildQuizLeaderboardPage(interaction.guildId, {
+        page: Number(page), viewerId: interaction.user.id, locale: locale
+    }));
+});
+
+client.on('clientReady', async () => { 
+    log.info(`Logged in as ${client.user.tag}!`);
+    await loadUsers(findAniListUser); 
+    loadState();
+    loadGuildSettings();
+    loadTokens();
+    loadHistory();
+    loadQuizScores();
+    reportMissingTranslations(getCommands().map(command => `commands.${command.name}`));
+    await adoptLegacyConfiguration();
+
+    try {
+        await client.application.commands.set(buildSlashCommandData());
+        log.info("Registered slash commands.");
+    } catch (error) {
+        log.error("Could not register slash commands", { error });
+    }
+    
+    runActivityPolling();
+    startAiringScheduler(client, () => getUserEntries());
+    startSnapshotScheduler(() => getUserEntries());
+    startDigestScheduler(client, () => getUserEntries());
+    startOAuthServer(completeOAuthLink);
+});
+
+client.on('messageCreate', async (message) => {
+    if (message.author.bot || !message.guild) return;
+
+    const settings = getGuildSettings(message.guild.id);
+    if (!message.content.startsWith(settings.prefix)) return;
+
+    // Command text without the guild's prefix, e.g. "anilist link <name>"
+    const match = findPrefixCommand(message.content.slice(settings.prefix.length).trim());
+    if (!match) return;
+
+    const ctx = createMessageContext(message, settings);
+    const options = parsePrefixOptions(match.command, match.args, message, match.presetOptions);
+    if (!options) {
+        return ctx.reply(getUsageText(match.command, settings.prefix, ctx.locale));
+    }
+
+    await runCommand(match.command, ctx, options);
+});
+
+client.on('interactionCreate', async (interaction) => {
+    if (!interaction.inGuild()) return;
+
+    const settings = getGuildSettings(interaction.guildId);
+
+    try {
+        if (interaction.isAutocomplete()) {
+            return await handleAutocomplete(interaction, settings);
+        }
+        if (interaction.isMessageComponent()) {
+            return await handleComponent(interaction, settings);
+        }
+        if (!interaction.isChatInputCommand()) return;
+
+        const command = findSlashCommand(interaction.commandName, interaction.options.getSubcommand(false));
+        if (!command) return;
+
+        await interaction.deferReply();
+        const ctx = createInteractionContext(interaction, settings);
+        await runCommand(command, ctx, readSlashOptions(command, interaction));
+    } catch (error) {
+        log.error(`Error handling interaction ${interaction.commandName}`, { error });
+    }
+});
+
+// Started before logging in, so /health also reports a bot that can't connect to Discord
+startMetricsServer(() => client.isReady());
+
+client.login(DISCORD_BOT_TOKEN).catch(err => {
+    log.error("Login failed. Check if DISCORD_BOT_TOKEN is correct", { error: err });
 });
\ No newline at end of file
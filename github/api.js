@@ -0,0 +1,166 @@
+// --- ANI-LIST API CLIENT ---
+// Every GraphQL request goes through queryAniList, which queues requests, honors AniList's
+// rate limit headers, retries 429/5xx responses and optionally caches results.
+
+const axios = require('axios');
+const { ANILIST_API_URL } = require('./config');
+const { log } = require('./logger');
+const { incrementCounter, setGauge } = require('./metrics');
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+// Fallback wait when a 429 arrives without a Retry-After header
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Raised for HTTP failures and for GraphQL `errors[]` in the response body.
+// AniList reports a missing user as `errors: [{ status: 404 }]`, which sets `notFound`.
+class AniListError extends Error {
+    constructor(message, status, errors = []) {
+        super(message);
+        this.name = 'AniListError';
+        this.status = status;
+        this.errors = errors;
+        this.notFound = status === 404;
+    }
+}
+
+const cache = new Map();
+let queue = Promise.resolve();
+let rateLimitResetAt = 0;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Pauses the queue until AniList's rate limit window resets
+function updateRateLimit(headers) {
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const limit = Number(headers['x-ratelimit-limit']);
+    const resetAt = Number(headers['x-ratelimit-reset']) * 1000;
+    const retryAfter = Number(headers['retry-after']) * 1000;
+
+    if (headers['x-ratelimit-remaining'] !== undefined && Number.isFinite(remaining)) {
+        setGauge('anilist_rate_limit_remaining', remaining);
+    }
+    if (limit > 0) {
+        setGauge('anilist_rate_limit_limit', limit);
+    }
+
+    if (retryAfter > 0) {
+        rateLimitResetAt = Date.now() + retryAfter;
+    } else if (remaining === 0 && resetAt > Date.now()) {
+        rateLimitResetAt = resetAt;
+    }
+}
+
+function toAniListError(response) {
+    const errors = response.data?.errors ?? [];
+    const status = errors[0]?.status ?? response.status;
+    const message = errors.map(error => error.message).join('; ') || `AniList request failed with status ${response.status}`;
+    return new AniListError(message, status, errors);
+}
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+async function sendRequest(query, variables, token) {
+    for (let attempt = 0; ; attempt++) {
+        const waitMs = rateLimitResetAt - Date.now();
+        if (waitMs > 0) {
+            log.warn(`AniList rate limit reached, waiting ${Math.ceil(waitMs / 1000)}s...`, { waitMs: waitMs });
+            await sleep(waitMs);
+        }
+
+        let response;
+        try {
+            response = await axios.post(ANILIST_API_URL, { query, variables }, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+                },
+                // Status codes are handled below, together with GraphQL errors in the body
+                validateStatus: () => true,
+            });
+        } catch (error) {
+            // Network failure: retry with backoff like a 5xx
+            incrementCounter('anilist_requests_total', { status: '0' });
+            log.debug("AniList request failed", { attempt: attempt, error: error });
+            if (attempt >= MAX_RETRIES) throw new AniListError(error.message, 0);
+            await sleep(BASE_RETRY_DELAY_MS * 2 ** attempt);
+            continue;
+        }
+
+        incrementCounter('anilist_requests_total', { status: String(response.status) });
+        updateRateLimit(response.headers ?? {});
+
+        if (response.status === 429) {
+            incrementCounter('anilist_rate_limited_total');
+            if (!(Number(response.headers?.['retry-after']) > 0)) {
+                rateLimitResetAt = Date.now() + DEFAULT_RATE_LIMIT_WAIT_MS;
+            }
+        }
+
+        if (isRetryable(response.status) && attempt < MAX_RETRIES) {
+            if (response.status !== 429) {
+                await sleep(BASE_RETRY_DELAY_MS * 2 ** attempt);
+            }
+            continue;
+        }
+
+        if (response.status >= 400 || response.data?.errors?.length) {
+            throw toAniListError(response);
+        }
+
+        return response.data.data;
+    }
+}
+
+function cacheResult(cacheKey, data, cacheTtl) {
+    if (cache.size >= MAX_CACHE_ENTRIES) {
+        const now = Date.now();
+        for (const [key, entry] of cache) {
+            if (entry.expiresAt <= now) cache.delete(key);
+        }
+        // Still full: drop the oldest entry
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+    cache.set(cacheKey, { data, expiresAt: Date.now() + cacheTtl });
+}
+
+// Runs a GraphQL query and returns its `data`. Requests run one at a time, so bursts
+// (e.g. a leaderboard over every linked user) wait for the rate limit instead of failing.
+// Pass `cacheTtl` (ms) to reuse a result for identical queries and variables, and `token`
+// to run the query as a user with their OAuth access token (such results are never cached).
+function queryAniList(query, variables = {}, { cacheTtl = 0, token = null } = {}) {
+    const cacheKey = cacheTtl > 0 && !token ? JSON.stringify([query, variables]) : null;
+    const cached = cacheKey && cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return Promise.resolve(cached.data);
+    }
+
+    const request = queue.then(() => sendRequest(query, variables, token));
+    // Keep the queue going even when this request fails
+    queue = request.catch(() => {});
+
+    return request.then(data => {
+        if (cacheKey) {
+            cacheResult(cacheKey, data, cacheTtl);
+        }
+        return data;
+    });
+}
+
+function clearAniListCache() {
+    cache.clear();
+}
+
+module.exports = {
+    AniListError,
+    queryAniList,
+    clearAniListCache,
+};
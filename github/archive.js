@@ -0,0 +1,282 @@
+// --- DATA EXPORT / IMPORT ---
+// A guild's links, settings and activity cursors as a versioned JSON archive, for backups and for
+// moving the bot. Archives are checked against ARCHIVE_SCHEMA before anything is imported, and an
+// import is planned first so admins can preview it as a diff (dry run) before applying it.
+// Only the guild the command runs in is exported or changed; AniList logins are never exported.
+
+const axios = require('axios');
+const { FEATURES, MEDIA_TYPES, ACTIVITY_STATUSES, ADULT_MODES, MAX_PREFIX_LENGTH } = require('./guilds');
+const { LOCALE_CODES, TITLE_LANGUAGES, t } = require('./i18n');
+
+const ARCHIVE_FORMAT = 'anilist-bot-archive';
+const ARCHIVE_VERSION = 1;
+const MAX_REPORTED_ERRORS = 10;
+const MAX_ARCHIVE_BYTES = 5 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+const SNOWFLAKE = { type: 'string', pattern: /^\d{1,20}$/ };
+
+// A small subset of JSON Schema: type, enum, nullable, required, properties, pattern, maxLength,
+// items, and `keys`/`values` for objects used as maps. Objects with `properties` reject unknown keys.
+const NOTIFY_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        statuses: { type: 'array', items: { enum: ACTIVITY_STATUSES } },
+        mediaTypes: { type: 'array', items: { enum: MEDIA_TYPES } },
+        adult: { enum: ADULT_MODES },
+        dm: { type: 'boolean' },
+    },
+};
+
+const PREFERENCES_SCHEMA = {
+    type: 'object',
+    properties: {
+        locale: { enum: LOCALE_CODES },
+        titleLanguage: { enum: TITLE_LANGUAGES },
+        timezone: { type: 'string', maxLength: 64 },
+    },
+};
+
+const ARCHIVE_SCHEMA = {
+    type: 'object',
+    required: ['format', 'version', 'guildId', 'exportedAt', 'settings', 'users', 'cursors'],
+    properties: {
+        format: { enum: [ARCHIVE_FORMAT] },
+        version: { type: 'integer' },
+        guildId: SNOWFLAKE,
+        exportedAt: { type: 'string' },
+        settings: {
+            type: 'object',
+            properties: {
+                channelId: { ...SNOWFLAKE, nullable: true },
+                adultChannelId: { ...SNOWFLAKE, nullable: true },
+                prefix: { type: 'string', pattern: /^\S+$/, maxLength: MAX_PREFIX_LENGTH },
+                locale: { enum: LOCALE_CODES },
+                mediaTypes: { type: 'array', items: { enum: MEDIA_TYPES } },
+                activityStatuses: { type: 'array', items: { enum: ACTIVITY_STATUSES } },
+                adultContent: { enum: ADULT_MODES },
+                features: {
+                    type: 'object',
+                    properties: Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, { type: 'boolean' }])),
+                },
+            },
+        },
+        // Discord ID -> linked AniList account
+        users: {
+            type: 'object',
+            keys: SNOWFLAKE.pattern,
+            values: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'integer' },
+                    name: { type: 'string', maxLength: 100 },
+                    notify: NOTIFY_SCHEMA,
+                    preferences: PREFERENCES_SCHEMA,
+                },
+            },
+        },
+        // AniList user ID -> last posted activity ID
+        cursors: {
+            type: 'object',
+            keys: /^\d+$/,
+            values: { type: 'integer' },
+        },
+    },
+};
+
+function getValueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function validateValue(value, schema, path, errors) {
+    const at = path || 'archive';
+    if (value === null && schema.nullable) return;
+
+    if (schema.enum) {
+        if (!schema.enum.includes(value)) errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+        return;
+    }
+
+    const type = getValueType(value);
+    if (type !== schema.type) {
+        errors.push(`${at}: expected ${schema.type}, got ${type}`);
+        return;
+    }
+
+    if (type === 'string') {
+        if (schema.pattern && !schema.pattern.test(value)) errors.push(`${at}: invalid value "${value}"`);
+        if (schema.maxLength && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    } else if (type === 'array') {
+        value.forEach((item, index) => validateValue(item, schema.items, `${at}[${index}]`, errors));
+    } else if (type === 'object') {
+        for (const key of schema.required ?? []) {
+            if (value[key] === undefined) errors.push(`${path ? `${path}.${key}` : key}: missing`);
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const itemPath = path ? `${path}.${key}` : key;
+            if (schema.properties) {
+                if (schema.properties[key]) validateValue(item, schema.properties[key], itemPath, errors);
+                else errors.push(`${itemPath}: unknown field`);
+            } else {
+                if (schema.keys && !schema.keys.test(key)) errors.push(`${itemPath}: invalid key`);
+                validateValue(item, schema.values, itemPath, errors);
+            }
+        }
+    }
+}
+
+// Returns the problems with an archive, at most MAX_REPORTED_ERRORS, or an empty list when it's valid
+function validateArchive(archive) {
+    if (getValueType(archive) === 'object' && archive.format === ARCHIVE_FORMAT &&
+        Number.isInteger(archive.version) && archive.version > ARCHIVE_VERSION) {
+        return [`archive version ${archive.version} is newer than this bot supports (${ARCHIVE_VERSION})`];
+    }
+
+    const errors = [];
+    validateValue(archive, ARCHIVE_SCHEMA, '', errors);
+    return errors.slice(0, MAX_REPORTED_ERRORS);
+}
+
+// Downloads an archive attached to a command. Resolves to { archive } or { error, params } with the translation
+// key of a message for the admin.
+async function downloadArchive(attachment) {
+    const tooLarge = { error: 'archive.tooLarge', params: { size: MAX_ARCHIVE_BYTES / 1024 / 1024 } };
+    if (attachment.size > MAX_ARCHIVE_BYTES) return tooLarge;
+
+    let response;
+    try {
+        response = await axios.get(attachment.url, {
+            responseType: 'text',
+            transformResponse: data => data,
+            timeout: DOWNLOAD_TIMEOUT_MS,
+            maxContentLength: MAX_ARCHIVE_BYTES,
+            maxBodyLength: MAX_ARCHIVE_BYTES,
+        });
+    } catch (error) {
+        // The attachment's size is only what the message claims, so the download itself is capped too
+        if (/maxContentLength/.test(error.message)) return tooLarge;
+        throw error;
+    }
+    try {
+        return { archive: JSON.parse(response.data) };
+    } catch (error) {
+        return { error: 'archive.invalidJson' };
+    }
+}
+
+// `users` are the guild's [discordId, user] pairs, `cursors` the activity cursors of every linked account
+function buildArchive(guildId, users, settings, cursors) {
+    const archivedUsers = {};
+    const archivedCursors = {};
+    for (const [discordId, user] of users) {
+        archivedUsers[discordId] = {
+            id: user.id,
+            name: user.name,
+            ...(user.notify ? { notify: user.notify } : {}),
+            ...(user.preferences ? { preferences: user.preferences } : {}),
+        };
+        if (cursors[user.id]) archivedCursors[user.id] = cursors[user.id];
+    }
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        guildId: guildId,
+        exportedAt: new Date().toISOString(),
+        settings: settings,
+        users: archivedUsers,
+        cursors: archivedCursors,
+    };
+}
+
+// Works out what importing a validated archive into a guild changes, without changing anything.
+// `users` are all linked accounts (Discord ID -> user), `settings` the guild's current settings.
+// Links that would take an account from another member, or replace a member's account, are skipped,
+// and so are channels for which `isGuildChannel(channelId)` is false: archives are only files, and
+// anyone can write another server's channel into one.
+function planImport(archive, guildId, users, settings, cursors, isGuildChannel) {
+    const plan = { link: [], unlink: [], skipped: [], settings: {}, cursors: {} };
+
+    for (const [discordId, archived] of Object.entries(archive.users)) {
+        const current = users[discordId];
+        const holder = Object.entries(users).find(([otherId, user]) => otherId !== discordId && user.id === archived.id);
+
+        if (current && current.id !== archived.id) {
+            plan.skipped.push({ discordId, name: archived.name, reason: 'alreadyLinked', current: current.name });
+            continue;
+        }
+        if (holder) {
+            plan.skipped.push({ discordId, name: archived.name, reason: 'linkedToOther' });
+            continue;
+        }
+
+        if (!current?.guilds.includes(guildId)) {
+            plan.link.push({ discordId, user: archived });
+        }
+        // Cursors only fill gaps, so an import never makes the feed post activities again
+        const cursor = archive.cursors[archived.id];
+        if (cursor && !cursors[archived.id]) {
+            plan.cursors[archived.id] = cursor;
+        }
+    }
+
+    for (const [discordId, user] of Object.entries(users)) {
+        if (user.guilds.includes(guildId) && !archive.users[discordId]) {
+            plan.unlink.push({ discordId, user });
+        }
+    }
+
+    for (const [key, value] of Object.entries(archive.settings)) {
+        if ((key === 'channelId' || key === 'adultChannelId') && value !== null && !isGuildChannel(value)) continue;
+        if (JSON.stringify(value) !== JSON.stringify(settings[key])) plan.settings[key] = value;
+    }
+
+    return plan;
+}
+
+function listNames(entries, format, locale) {
+    if (entries.length === 0) return t(locale, 'common.none');
+    const text = entries.map(format).join('\n');
+    return text.length > 1024 ? `${text.substring(0, 1000).replace(/\n[^\n]*$/, '')}\n…` : text;
+}
+
+function buildImportEmbed(plan, { applied, prefix, locale }) {
+    const cursorCount = Object.keys(plan.cursors).length;
+    const settingKeys = Object.keys(plan.settings);
+    const formatLink = ({ discordId, user }) => `<@${discordId}> → **${user.name}**`;
+    const formatSkipped = ({ discordId, name, reason, current }) =>
+        `<@${discordId}> → **${name}**: ${t(locale, `archive.skipReasons.${reason}`, { name: current })}`;
+
+    return {
+        color: applied ? 0x2ECC71 : 0x00CED1,
+        title: t(locale, applied ? 'archive.appliedTitle' : 'archive.previewTitle'),
+        description: applied
+            ? t(locale, 'archive.appliedDescription')
+            : t(locale, 'archive.previewDescription', { prefix }),
+        fields: [
+            { name: t(locale, 'archive.fields.added', { count: plan.link.length }), value: listNames(plan.link, formatLink, locale), inline: false },
+            { name: t(locale, 'archive.fields.removed', { count: plan.unlink.length }), value: listNames(plan.unlink, formatLink, locale), inline: false },
+            { name: t(locale, 'archive.fields.skipped', { count: plan.skipped.length }), value: listNames(plan.skipped, formatSkipped, locale), inline: false },
+            {
+                name: t(locale, 'archive.fields.settings'),
+                value: settingKeys.length ? settingKeys.map(key => `\`${key}\``).join(', ') : t(locale, 'common.none'),
+                inline: true
+            },
+            { name: t(locale, 'archive.fields.cursors'), value: t(locale, 'archive.cursorsRestored', { count: cursorCount }), inline: true },
+        ],
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    downloadArchive,
+    validateArchive,
+    buildArchive,
+    planImport,
+    buildImportEmbed,
+};
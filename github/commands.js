@@ -0,0 +1,413 @@
+// --- COMMAND REGISTRY ---
+// Prefix commands (`!profile`) and slash commands (`/profile`) share one definition.
+// A command looks like:
+// {
+//     name: 'profile',                    // unique key
+//     category: 'stats',                  // help embed section, see CATEGORIES
+//     description: 'Displays ...',        // help text and slash command description (English; other
+//                                         // languages translate it as commands.<name> in locales/)
+//     prefix: ['profile'],                // prefix triggers (without the guild prefix)
+//     aliases: [{ trigger: 'topanime', options: { type: 'anime' } }], // triggers with preset options
+//     slash: ['anilist', 'link'],         // slash command path: [command] or [command, subcommand]
+//     options: [{ name, type, description, required, choices, rest, autocomplete }],
+//     adminOnly: true,                    // requires the Manage Server permission
+//     feature: 'stats',                   // guild feature that must be enabled, see guilds.js
+//     run: async (ctx, options) => {},
+// }
+
+const { ApplicationCommandOptionType, PermissionFlagsBits } = require('discord.js');
+const { isFeatureEnabled } = require('./guilds');
+const { getUser } = require('./storage');
+const { log } = require('./logger');
+const { DEFAULT_LOCALE, t, getTranslation, getTranslations, getDisplayPreferences } = require('./i18n');
+
+// Help embed sections in order; their titles are translated as help.categories.<category>
+const CATEGORIES = [
+    'account',
+    'stats',
+    'leaderboards',
+    'media',
+    'airing',
+    'activity',
+    'social',
+    'list',
+    'quiz',
+    'settings',
+    'help',
+];
+
+const OPTION_TYPES = {
+    string: ApplicationCommandOptionType.String,
+    integer: ApplicationCommandOptionType.Integer,
+    user: ApplicationCommandOptionType.User,
+    channel: ApplicationCommandOptionType.Channel,
+    attachment: ApplicationCommandOptionType.Attachment,
+};
+
+// Slash command descriptions are limited to 100 characters
+const MAX_DESCRIPTION_LENGTH = 100;
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+const commands = [];
+const componentHandlers = new Map();
+
+function registerCommand(command) {
+    commands.push({ prefix: [], aliases: [], options: [], ...command });
+}
+
+function getCommands() {
+    return commands;
+}
+
+// Buttons and select menus use custom IDs of the form "<handler>:<arg>:<arg>...".
+// Handlers receive (interaction, args, settings) and reply to the interaction themselves.
+function registerComponentHandler(name, handler) {
+    componentHandlers.set(name, handler);
+}
+
+async function handleComponent(interaction, settings) {
+    const [name, ...args] = interaction.customId.split(':');
+    const handler = componentHandlers.get(name);
+    if (!handler) return;
+
+    try {
+        await handler(interaction, args, settings);
+    } catch (error) {
+        log.error(`Error handling component ${interaction.customId}`, { error });
+    }
+}
+
+// Finds the command whose trigger matches the start of the text (longest trigger wins),
+// returning the remaining arguments and any preset options of the matched alias.
+function findPrefixCommand(commandText) {
+    const lowerText = commandText.toLowerCase();
+    let bestMatch = null;
+
+    for (const command of commands) {
+        const triggers = [
+            ...command.prefix.map(trigger => ({ trigger, options: {} })),
+            ...command.aliases,
+        ];
+
+        for (const { trigger, options } of triggers) {
+            const matches = lowerText === trigger || lowerText.startsWith(`${trigger} `);
+            if (matches && (!bestMatch || trigger.length > bestMatch.trigger.length)) {
+                bestMatch = { command, trigger, presetOptions: options };
+            }
+        }
+    }
+
+    if (!bestMatch) return null;
+
+    const rest = commandText.slice(bestMatch.trigger.length).trim();
+    return {
+        command: bestMatch.command,
+        presetOptions: bestMatch.presetOptions,
+        args: rest.length > 0 ? rest.split(/\s+/) : [],
+    };
+}
+
+function findSlashCommand(commandName, subcommandName) {
+    return commands.find(command =>
+        command.slash &&
+        command.slash[0] === commandName &&
+        (command.slash[1] ?? null) === (subcommandName ?? null)
+    );
+}
+
+// Checks a prefix argument against the option's choices or type, returning undefined when it doesn't fit
+function convertPrefixValue(option, value) {
+    if (option.choices) {
+        value = value.toLowerCase();
+        if (!option.choices.includes(value)) return undefined;
+    }
+    if (option.type === 'integer') {
+        value = Number(value);
+        if (!Number.isInteger(value)) return undefined;
+    }
+    return value;
+}
+
+// Maps positional prefix arguments onto the command's options: mentions fill user/channel
+// options, a file attached to the message fills the attachment option, `name:value`
+// arguments fill the named option, and everything else fills the
+// string/integer options in order. A `rest` option takes the remaining arguments, except
+// one for each required option after it (e.g. `!rate <title> <score>`).
+// Returns null when the arguments don't fit, so the caller can reply with the usage.
+function parsePrefixOptions(command, args, message, presetOptions = {}) {
+    const options = { ...presetOptions };
+    const positionalOptions = command.options.filter(option =>
+        !['user', 'channel', 'attachment'].includes(option.type) && options[option.name] === undefined
+    );
+
+    const attachmentOption = command.options.find(option => option.type === 'attachment');
+    if (attachmentOption && message.attachments?.size > 0) {
+        options[attachmentOption.name] = message.attachments.first();
+    }
+
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        const userMention = arg.match(/^<@!?(\d+)>$/);
+        const channelMention = arg.match(/^<#(\d+)>$/);
+        const userOption = command.options.find(option => option.type === 'user' && options[option.name] === undefined);
+        const channelOption = command.options.find(option => option.type === 'channel' && options[option.name] === undefined);
+
+        if (userMention && userOption) {
+            options[userOption.name] = message.mentions.users.get(userMention[1]);
+            continue;
+        }
+        if (channelMention && channelOption) {
+            options[channelOption.name] = message.mentions.channels.get(channelMention[1]);
+            continue;
+        }
+
+        const namedMatch = arg.match(/^([a-z]+):(.+)$/i);
+        const namedOption = namedMatch && positionalOptions.find(option => option.name === namedMatch[1].toLowerCase());
+        if (namedOption) {
+            const value = convertPrefixValue(namedOption, namedMatch[2]);
+            if (value === undefined) return null;
+            options[namedOption.name] = value;
+            positionalOptions.splice(positionalOptions.indexOf(namedOption), 1);
+            continue;
+        }
+
+        const option = positionalOptions.shift();
+        if (!option) return null;
+
+        const restEnd = args.length - positionalOptions.filter(option => option.required).length;
+        if (option.rest && restEnd <= index) return null;
+
+        const value = convertPrefixValue(option, option.rest ? args.slice(index, restEnd).join(' ') : arg);
+        if (value === undefined) return null;
+
+        options[option.name] = value;
+        if (option.rest) index = restEnd - 1;
+    }
+
+    if (command.options.some(option => option.required && options[option.name] === undefined)) {
+        return null;
+    }
+    return options;
+}
+
+function readSlashOptions(command, interaction) {
+    const options = {};
+    for (const option of command.options) {
+        let value;
+        if (option.type === 'user') value = interaction.options.getUser(option.name);
+        else if (option.type === 'channel') value = interaction.options.getChannel(option.name);
+        else if (option.type === 'integer') value = interaction.options.getInteger(option.name);
+        else if (option.type === 'attachment') value = interaction.options.getAttachment(option.name);
+        else value = interaction.options.getString(option.name);
+
+        if (value !== null && value !== undefined) {
+            options[option.name] = value;
+        }
+    }
+    return options;
+}
+
+function formatOptionUsage(option) {
+    const label = option.choices ? option.choices.join('|') : option.name;
+    return option.required ? `<${label}>` : `[${label}]`;
+}
+
+function getPrefixUsage(command, prefix) {
+    const usages = command.prefix.map(trigger =>
+        [`${prefix}${trigger}`, ...command.options.map(formatOptionUsage)].join(' ')
+    );
+    return usages.concat(command.aliases.map(alias => `${prefix}${alias.trigger}`));
+}
+
+function getUsageText(command, prefix, locale = DEFAULT_LOCALE) {
+    const usages = getPrefixUsage(command, prefix).map(usage => `\`${usage}\``);
+    return t(locale, 'usage.text', { usages: usages.join(` ${t(locale, 'usage.or')} `) });
+}
+
+// The command's description in the given language, English when it has no translation
+function getCommandDescription(command, locale) {
+    return getTranslation(locale, `commands.${command.name}`) ?? command.description;
+}
+
+// ctx.display holds the caller's language, title language and timezone (see i18n.js),
+// and ctx.t(key, params) translates into their language
+function withDisplay(ctx) {
+    const display = getDisplayPreferences(ctx.settings, getUser(ctx.user.id));
+    return {
+        ...ctx,
+        display: display,
+        locale: display.locale,
+        t: (key, params) => t(display.locale, key, params),
+    };
+}
+
+function createMessageContext(message, settings) {
+    return withDisplay({
+        isSlash: false,
+        guild: message.guild,
+        guildId: message.guild.id,
+        user: message.author,
+        member: message.member,
+        channel: message.channel,
+        settings: settings,
+        prefix: settings.prefix,
+        reply: (payload) => message.reply(payload),
+    });
+}
+
+// Slash replies are deferred first, since AniList requests can exceed Discord's 3 second limit
+function createInteractionContext(interaction, settings) {
+    return withDisplay({
+        isSlash: true,
+        guild: interaction.guild,
+        guildId: interaction.guildId,
+        user: interaction.user,
+        member: interaction.member,
+        channel: interaction.channel,
+        settings: settings,
+        prefix: settings.prefix,
+        reply: (payload) => interaction.replied
+            ? interaction.followUp(payload)
+            : interaction.editReply(payload),
+    });
+}
+
+async function runCommand(command, ctx, options) {
+    if (command.adminOnly && !ctx.member?.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return ctx.reply(ctx.t('errors.adminOnly'));
+    }
+    if (command.feature && !isFeatureEnabled(ctx.guildId, command.feature)) {
+        return ctx.reply(ctx.t('errors.featureDisabled'));
+    }
+
+    try {
+        await command.run(ctx, options);
+    } catch (error) {
+        log.error(`Error running command ${command.name}`, { error });
+        await ctx.reply(ctx.t('errors.unexpected')).catch(() => {});
+    }
+}
+
+async function handleAutocomplete(interaction, settings) {
+    const command = findSlashCommand(interaction.commandName, interaction.options.getSubcommand(false));
+    const focused = interaction.options.getFocused(true);
+    const option = command?.options.find(option => option.name === focused.name);
+
+    if (!option?.autocomplete) {
+        return interaction.respond([]);
+    }
+
+    const ctx = createInteractionContext(interaction, settings);
+    const choices = await option.autocomplete(ctx, focused.value);
+    await interaction.respond(choices.slice(0, MAX_AUTOCOMPLETE_CHOICES));
+}
+
+function buildOptionData(option) {
+    return {
+        type: OPTION_TYPES[option.type ?? 'string'],
+        name: option.name,
+        description: option.description.substring(0, MAX_DESCRIPTION_LENGTH),
+        required: option.required ?? false,
+        choices: option.choices?.map(choice => ({ name: choice, value: choice })),
+        autocomplete: option.autocomplete ? true : undefined,
+    };
+}
+
+// Discord shows these to members whose client is set to that language. English is the
+// description itself, and Discord only knows it as en-US/en-GB.
+function buildDescriptionLocalizations(command) {
+    const localizations = {};
+    for (const [code, description] of Object.entries(getTranslations(`commands.${command.name}`))) {
+        if (code !== DEFAULT_LOCALE) localizations[code] = description.substring(0, MAX_DESCRIPTION_LENGTH);
+    }
+    return localizations;
+}
+
+// Application command data for every command with a `slash` path; commands sharing
+// a first path segment become subcommands of one slash command.
+function buildSlashCommandData() {
+    const slashCommands = new Map();
+
+    for (const command of commands.filter(command => command.slash)) {
+        const [commandName, subcommandName] = command.slash;
+        const options = command.options
+            .slice()
+            .sort((a, b) => Number(b.required ?? false) - Number(a.required ?? false))
+            .map(buildOptionData);
+
+        if (!subcommandName) {
+            slashCommands.set(commandName, {
+                name: commandName,
+                description: command.description.substring(0, MAX_DESCRIPTION_LENGTH),
+                description_localizations: buildDescriptionLocalizations(command),
+                dm_permission: false,
+                options: options,
+            });
+            continue;
+        }
+
+        const parent = slashCommands.get(commandName) ?? {
+            name: commandName,
+            description: `${commandName} commands`,
+            dm_permission: false,
+            options: [],
+        };
+        parent.options.push({
+            type: ApplicationCommandOptionType.Subcommand,
+            name: subcommandName,
+            description: command.description.substring(0, MAX_DESCRIPTION_LENGTH),
+            description_localizations: buildDescriptionLocalizations(command),
+            options: options,
+        });
+        slashCommands.set(commandName, parent);
+    }
+
+    return [...slashCommands.values()];
+}
+
+// Help fields generated from the registry, one field per category. Categories too long for one
+// field (1024 characters, easily reached in longer languages) continue in untitled fields.
+function buildHelpFields(prefix, locale = DEFAULT_LOCALE) {
+    return CATEGORIES.flatMap(category => {
+        const lines = commands
+            .filter(command => command.category === category)
+            .map(command => {
+                const usages = getPrefixUsage(command, prefix).map(usage => `\`${usage}\``);
+                if (command.slash) usages.push(`\`/${command.slash.join(' ')}\``);
+                return `${usages.join(` ${t(locale, 'usage.or')} `)}: ${getCommandDescription(command, locale)}`.substring(0, 1024);
+            });
+
+        const values = [];
+        for (const line of lines) {
+            if (values.length > 0 && values[values.length - 1].length + line.length < 1024) {
+                values[values.length - 1] += `\n${line}`;
+            } else {
+                values.push(line);
+            }
+        }
+
+        return values.map((value, index) => ({
+            name: index === 0 ? t(locale, `help.categories.${category}`) : '\u200b',
+            value: value,
+            inline: false,
+        }));
+    });
+}
+
+module.exports = {
+    registerCommand,
+    getCommands,
+    registerComponentHandler,
+    handleComponent,
+    findPrefixCommand,
+    findSlashCommand,
+    parsePrefixOptions,
+    readSlashOptions,
+    getUsageText,
+    createMessageContext,
+    createInteractionContext,
+    runCommand,
+    handleAutocomplete,
+    buildSlashCommandData,
+    buildHelpFields,
+};
@@ -0,0 +1,194 @@
+// --- TASTE COMPATIBILITY ---
+// Compares two users' anime and manga lists for !compare and ranks a member's matches for !affinity.
+
+const { fetchMediaLists } = require('./lists');
+const { log } = require('./logger');
+const { t, getPreferredTitle, formatNumber } = require('./i18n');
+
+// Titles both users scored before a correlation is shown at all
+const MIN_SHARED_SCORES = 5;
+// Pulls the affinity of small overlaps towards 0%, so a handful of shared titles can't make a perfect match
+const AFFINITY_SHRINKAGE = 10;
+const MAX_LISTED_TITLES = 5;
+const MAX_AFFINITY_ENTRIES = 20;
+
+const FINISHED_STATUSES = ['COMPLETED', 'REPEATING'];
+
+function pearsonCorrelation(pairs) {
+    const count = pairs.length;
+    const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / count;
+    const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / count;
+
+    let covariance = 0;
+    let varianceA = 0;
+    let varianceB = 0;
+    for (const [a, b] of pairs) {
+        covariance += (a - meanA) * (b - meanB);
+        varianceA += (a - meanA) ** 2;
+        varianceB += (b - meanB) ** 2;
+    }
+
+    // Someone who gave every shared title the same score has no correlation to speak of
+    if (varianceA === 0 || varianceB === 0) return null;
+    return covariance / Math.sqrt(varianceA * varianceB);
+}
+
+// Titles `finisher` completed that `planner` still has as PLANNING
+function findFinishedVsPlanning(finisher, planner) {
+    return [...finisher.values()]
+        .filter(entry => FINISHED_STATUSES.includes(entry.status) && planner.get(entry.media.id)?.status === 'PLANNING')
+        .sort((a, b) => b.score - a.score);
+}
+
+// Compares two lists as returned by fetchMediaLists (media ID -> entry).
+// Titles only count as shared when neither user merely plans to watch or read them.
+function compareLists(listA, listB) {
+    const shared = [];
+    for (const [mediaId, entryA] of listA) {
+        const entryB = listB.get(mediaId);
+        if (entryB && entryA.status !== 'PLANNING' && entryB.status !== 'PLANNING') {
+            shared.push({ media: entryA.media, scoreA: entryA.score, scoreB: entryB.score });
+        }
+    }
+
+    const scored = shared.filter(title => title.scoreA > 0 && title.scoreB > 0);
+    const correlation = scored.length >= MIN_SHARED_SCORES
+        ? pearsonCorrelation(scored.map(title => [title.scoreA, title.scoreB]))
+        : null;
+    const affinity = correlation === null
+        ? null
+        : correlation * scored.length / (scored.length + AFFINITY_SHRINKAGE) * 100;
+
+    return {
+        sharedAnime: shared.filter(title => title.media.type === 'ANIME').length,
+        sharedManga: shared.filter(title => title.media.type === 'MANGA').length,
+        scoredCount: scored.length,
+        correlation: correlation,
+        affinity: affinity,
+        disagreements: scored
+            .filter(title => title.scoreA !== title.scoreB)
+            .sort((a, b) => Math.abs(b.scoreA - b.scoreB) - Math.abs(a.scoreA - a.scoreB)),
+        finishedByA: findFinishedVsPlanning(listA, listB),
+        finishedByB: findFinishedVsPlanning(listB, listA),
+    };
+}
+
+// Compares two linked users ({ id, name }) by fetching both of their lists
+async function compareUsers(userA, userB) {
+    const listA = await fetchMediaLists(userA.id);
+    const listB = await fetchMediaLists(userB.id);
+    return compareLists(listA, listB);
+}
+
+function formatAffinity(affinity, locale) {
+    return `${formatNumber(affinity, locale, 1)}%`;
+}
+
+function formatTitleLinks(entries, display) {
+    const lines = entries.slice(0, MAX_LISTED_TITLES)
+        .map(entry => `[${getPreferredTitle(entry.media.title, display.titleLanguage)}](${entry.media.siteUrl})`);
+    if (entries.length > MAX_LISTED_TITLES) {
+        lines.push(t(display.locale, 'compare.more', { count: entries.length - MAX_LISTED_TITLES }));
+    }
+    return lines.join('\n').substring(0, 1024) || t(display.locale, 'compare.none');
+}
+
+function buildComparisonEmbed(userA, userB, comparison, display) {
+    const { locale } = display;
+    let description;
+    if (comparison.affinity === null) {
+        description = t(locale, 'compare.notEnoughScores', { scored: comparison.scoredCount, needed: MIN_SHARED_SCORES });
+    } else {
+        description = `**${t(locale, 'compare.affinity', { affinity: formatAffinity(comparison.affinity, locale) })}**\n` +
+            t(locale, 'compare.correlation', { correlation: formatNumber(comparison.correlation, locale, 2), count: comparison.scoredCount });
+    }
+
+    const disagreements = comparison.disagreements.slice(0, MAX_LISTED_TITLES).map(title =>
+        `[${getPreferredTitle(title.media.title, display.titleLanguage)}](${title.media.siteUrl}) — ${userA.name}: **${title.scoreA}**, ${userB.name}: **${title.scoreB}**`
+    );
+
+    return {
+        color: 0xE91E63,
+        title: t(locale, 'compare.title', { nameA: userA.name, nameB: userB.name }),
+        description: description,
+        fields: [
+            {
+                name: t(locale, 'compare.sharedTitles'),
+                value: t(locale, 'compare.sharedCounts', { anime: comparison.sharedAnime, manga: comparison.sharedManga }),
+                inline: false,
+            },
+            {
+                name: t(locale, 'compare.disagreements'),
+                value: disagreements.join('\n').substring(0, 1024) || t(locale, 'compare.noDisagreements'),
+                inline: false,
+            },
+            {
+                name: t(locale, 'compare.finishedVsPlanning', { finished: userA.name, planning: userB.name }),
+                value: formatTitleLinks(comparison.finishedByA, display),
+                inline: true,
+            },
+            {
+                name: t(locale, 'compare.finishedVsPlanning', { finished: userB.name, planning: userA.name }),
+                value: formatTitleLinks(comparison.finishedByB, display),
+                inline: true,
+            },
+        ],
+        footer: {
+            text: t(locale, 'compare.footer')
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Affinity of `viewer` with each of `members` ([discordId, user] pairs), best match first.
+// Members whose lists can't be loaded or who share too few scored titles are counted separately.
+async function buildAffinityRanking(viewer, members) {
+    const viewerList = await fetchMediaLists(viewer.id);
+    const ranking = [];
+    let unrankedCount = 0;
+
+    for (const [discordId, user] of members) {
+        try {
+            const comparison = compareLists(viewerList, await fetchMediaLists(user.id));
+            if (comparison.affinity === null) {
+                unrankedCount++;
+                continue;
+            }
+            ranking.push({ discordId, name: user.name, affinity: comparison.affinity, scoredCount: comparison.scoredCount });
+        } catch (error) {
+            log.error(`Error fetching lists of ${user.name} for affinity`, { error });
+            unrankedCount++;
+        }
+    }
+
+    return { ranking: ranking.sort((a, b) => b.affinity - a.affinity), unrankedCount };
+}
+
+function buildAffinityEmbed(viewer, { ranking, unrankedCount }, locale) {
+    const lines = ranking.slice(0, MAX_AFFINITY_ENTRIES).map((entry, index) =>
+        `**#${index + 1}** **${entry.name}** — ${formatAffinity(entry.affinity, locale)} (${t(locale, 'affinity.sharedScores', { count: entry.scoredCount })})`
+    );
+
+    let footer = t(locale, 'affinity.minimum', { count: MIN_SHARED_SCORES });
+    if (unrankedCount > 0) {
+        footer = `${t(locale, 'affinity.unranked', { count: unrankedCount })} • ${footer}`;
+    }
+
+    return {
+        color: 0xE91E63,
+        title: t(locale, 'affinity.title', { name: viewer.name }),
+        description: (lines.join('\n') || t(locale, 'affinity.empty')).substring(0, 4096),
+        footer: {
+            text: footer
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    compareLists,
+    compareUsers,
+    buildComparisonEmbed,
+    buildAffinityRanking,
+    buildAffinityEmbed,
+};
@@ -1,13 +1,61 @@
-// --- CONFIGURATION FILE ---
-// IMPORTANT: Do not hardcode your tokens here if you publish this file!
-// Instead, use environment variables in production.
-
-module.exports = {
-    // 1. Bot Token: Get this from the Discord Developer Portal
-    // (Replace the placeholder with your actual bot token, or use a .env file)
-    DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN || 'YOUR_DISCORD_BOT_TOKEN_HERE',
-    
-    // 2. Notification Channel ID: The channel where the bot will post activity updates
-    // (Right-click the channel in Discord and select 'Copy Channel ID')
-    NOTIFICATION_CHANNEL_ID: 'YOUR_NOTIFICATION_CHANNEL_ID_HERE', 
+// --- CONFIGURATION FILE ---
+// IMPORTANT: Do not hardcode your tokens here if you publish this file!
+// Instead, use environment variables in production.
+
+module.exports = {
+    // 1. Bot Token: Get this from the Discord Developer Portal
+    // (Replace the placeholder with your actual bot token, or use a .env file)
+    DISCORD_BOT_TOKEN: process.env.DISCORD_BOT_TOKEN || 'YOUR_DISCORD_BOT_TOKEN_HERE',
+    
+    // 2. Notification Channel ID (optional, legacy): Channels are now set per server with
+    // `!anilist setchannel #channel`. If set, this channel is adopted once as the notification
+    // channel of the server it belongs to.
+    // (Right-click the channel in Discord and select 'Copy Channel ID')
+    NOTIFICATION_CHANNEL_ID: process.env.NOTIFICATION_CHANNEL_ID || null, 
+
+    // 3. AniList API endpoint: Override to point the bot at a local mock server in tests
+    ANILIST_API_URL: process.env.ANILIST_API_URL || 'https://graphql.anilist.co/',
+
+    // 4. Activity polling: how often to check for new activity (milliseconds), the longest
+    // interval inactive users back off to, and how many users to fetch per AniList request
+    POLL_INTERVAL_MS: Number(process.env.POLL_INTERVAL_MS) || 60000,
+    MAX_POLL_INTERVAL_MS: Number(process.env.MAX_POLL_INTERVAL_MS) || 15 * 60000,
+    POLL_BATCH_SIZE: Number(process.env.POLL_BATCH_SIZE) || 10,
+
+    // 5. AniList OAuth (optional): Lets members prove they own the account they link.
+    // Create a client at https://anilist.co/settings/developer with OAUTH_REDIRECT_URI as its
+    // redirect URL; the bot serves the callback itself on that URL's port (or OAUTH_PORT).
+    // Without a client, members verify with a one-time code in their AniList bio instead.
+    // The authorize and token URLs can point at a local mock server in tests.
+    ANILIST_CLIENT_ID: process.env.ANILIST_CLIENT_ID || null,
+    ANILIST_CLIENT_SECRET: process.env.ANILIST_CLIENT_SECRET || null,
+    OAUTH_REDIRECT_URI: process.env.OAUTH_REDIRECT_URI || 'http://localhost:8080/auth/callback',
+    OAUTH_PORT: Number(process.env.OAUTH_PORT) || null,
+    ANILIST_AUTHORIZE_URL: process.env.ANILIST_AUTHORIZE_URL || 'https://anilist.co/api/v2/oauth/authorize',
+    ANILIST_TOKEN_URL: process.env.ANILIST_TOKEN_URL || 'https://anilist.co/api/v2/oauth/token',
+
+    // 6. Token encryption key: Any long random secret. AniList logins are kept encrypted with it
+    // in tokens.json so members can update their lists from Discord (!watched, !rate, ...).
+    // Changing it invalidates the stored logins.
+    TOKEN_ENCRYPTION_KEY: process.env.TOKEN_ENCRYPTION_KEY || null,
+
+    // 7. Storage backend for linked accounts: 'json' keeps them in users.json, 'sqlite' in the
+    // SQLite database at SQLITE_FILE (needs `npm install better-sqlite3`). Switching to 'sqlite'
+    // imports the existing users.json on the next start.
+    STORAGE_BACKEND: (process.env.STORAGE_BACKEND || 'json').toLowerCase(),
+    SQLITE_FILE: process.env.SQLITE_FILE || 'anilist-bot.db',
+
+    // 8. Logging: the lowest level printed (debug, info, warn or error) and the line format,
+    // 'text' for reading in a terminal or 'json' for log collectors
+    LOG_LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    LOG_FORMAT: (process.env.LOG_FORMAT || 'text').toLowerCase(),
+
+    // 9. Health and metrics (optional): Serves /health and Prometheus /metrics on this port.
+    // Listens on localhost only unless METRICS_HOST says otherwise (e.g. 0.0.0.0 in a container).
+    METRICS_PORT: Number(process.env.METRICS_PORT) || null,
+    METRICS_HOST: process.env.METRICS_HOST || '127.0.0.1',
+
+    // 10. Quiz: seconds members have to answer each round of !quiz. Cover rounds (blurred or
+    // cropped covers) need `npm install sharp`; without it every round shows a description.
+    QUIZ_ROUND_SECONDS: Number(process.env.QUIZ_ROUND_SECONDS) || 30,
 };
\ No newline at end of file
@@ -0,0 +1,271 @@
+// --- SERVER DIGEST ---
+// Weekly and monthly summaries of what a server's members logged: episodes and chapters, the most
+// active members and titles, completions, drops and new links. They're built from a local history
+// of the activities the poll observed (posted to the feed or not), kept in history.json, and posted to the notification channel
+// every Monday (week) and on the 1st of the month (month), or on demand with !digest.
+
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { getGuildSettings } = require('./guilds');
+const { log } = require('./logger');
+const { t, getDisplayPreferences, getPreferredTitle } = require('./i18n');
+
+const HISTORY_FILE = 'history.json';
+const HISTORY_VERSION = 1;
+
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Enough for monthly digests, with some margin for late posts
+const HISTORY_RETENTION_SECONDS = 35 * 24 * 60 * 60;
+const MAX_RANKED_ENTRIES = 5;
+const MAX_FIELD_LENGTH = 1024;
+
+const DIGEST_WINDOWS = {
+    week: { seconds: 7 * 24 * 60 * 60 },
+    month: { seconds: 30 * 24 * 60 * 60 },
+};
+
+const DIGEST_WINDOW_NAMES = Object.keys(DIGEST_WINDOWS);
+
+// activities: observed list activities ({ id, userId, at, kind, units, media: { id, type, title } }), where
+// `title` has the romaji, English and native titles (a plain romaji string in older entries)
+// links: accounts linked in a guild ({ guildId, userId, name, at })
+// sent: guild ID -> { week, month } times of the last scheduled digests
+let history = { activities: [], links: [], sent: {} };
+
+function loadHistory() {
+    try {
+        const data = readJson(HISTORY_FILE, {});
+        history = { activities: data.activities ?? [], links: data.links ?? [], sent: data.sent ?? {} };
+        log.info(`Loaded ${history.activities.length} activities for server digests.`);
+    } catch (error) {
+        const quarantinedFile = quarantineFile(HISTORY_FILE);
+        log.error(`Error loading history.json, moved it to ${quarantinedFile} and started without digest history`, { error });
+        history = { activities: [], links: [], sent: {} };
+    }
+}
+
+function saveHistory() {
+    writeJsonAtomic(HISTORY_FILE, { version: HISTORY_VERSION, ...history });
+}
+
+function pruneHistory() {
+    const cutoff = Math.floor(Date.now() / 1000) - HISTORY_RETENTION_SECONDS;
+    history.activities = history.activities.filter(activity => activity.at >= cutoff);
+    history.links = history.links.filter(link => link.at >= cutoff);
+}
+
+// What a list activity counts as in the digest, from status texts such as "watched episode" or "dropped"
+function getHistoryKind(status) {
+    if (/^(re)?(watched|read)/.test(status)) return 'progress';
+    if (/^completed/.test(status)) return 'completed';
+    if (/^dropped/.test(status)) return 'dropped';
+    return null;
+}
+
+// Episodes or chapters in one progress update: "5" is one, "3 - 5" three
+function countUnits(progress) {
+    const numbers = String(progress ?? '').match(/\d+/g);
+    if (!numbers) return 0;
+    return Math.max(1, Number(numbers[numbers.length - 1]) - Number(numbers[0]) + 1);
+}
+
+// Keeps the list activities of an AniList user (oldest first, as fetched for the feed)
+function recordActivities(userId, activities) {
+    const known = new Set(history.activities.map(activity => activity.id));
+    let changed = false;
+
+    for (const activity of activities) {
+        const kind = activity.media ? getHistoryKind(String(activity.status)) : null;
+        if (!kind || known.has(activity.id)) continue;
+
+        history.activities.push({
+            id: activity.id,
+            userId: userId,
+            at: activity.createdAt,
+            kind: kind,
+            units: kind === 'progress' ? countUnits(activity.progress) : 0,
+            media: { id: activity.media.id, type: activity.media.type, title: activity.media.title },
+        });
+        changed = true;
+    }
+
+    if (changed) {
+        pruneHistory();
+        saveHistory();
+    }
+}
+
+function recordLink(guildId, userId, name) {
+    history.links.push({ guildId: guildId, userId: userId, name: name, at: Math.floor(Date.now() / 1000) });
+    pruneHistory();
+    saveHistory();
+}
+
+// Digest statistics for a guild's members ([discordId, user] pairs) over the last week or month
+function buildDigest(guildId, users, windowName) {
+    const windowStart = Math.floor(Date.now() / 1000) - DIGEST_WINDOWS[windowName].seconds;
+    const names = new Map(users.map(([, user]) => [user.id, user.name]));
+    const activities = history.activities.filter(activity => activity.at >= windowStart && names.has(activity.userId));
+
+    const totals = { ANIME: 0, MANGA: 0 };
+    const members = new Map();
+    const titles = new Map();
+    const completed = [];
+    const dropped = [];
+
+    for (const activity of activities) {
+        const member = members.get(activity.userId) ?? { name: names.get(activity.userId), updates: 0, ANIME: 0, MANGA: 0 };
+        member.updates++;
+        member[activity.media.type] += activity.units;
+        members.set(activity.userId, member);
+        totals[activity.media.type] += activity.units;
+
+        if (activity.kind === 'progress') {
+            const title = titles.get(activity.media.id) ?? { ...activity.media, members: new Set(), units: 0 };
+            title.members.add(activity.userId);
+            title.units += activity.units;
+            titles.set(activity.media.id, title);
+        } else {
+            (activity.kind === 'completed' ? completed : dropped).push({ name: names.get(activity.userId), title: activity.media.title });
+        }
+    }
+
+    return {
+        windowName: windowName,
+        since: windowStart,
+        updateCount: activities.length,
+        episodes: totals.ANIME,
+        chapters: totals.MANGA,
+        activeMembers: [...members.values()]
+            .sort((a, b) => b.updates - a.updates || (b.ANIME + b.MANGA) - (a.ANIME + a.MANGA))
+            .slice(0, MAX_RANKED_ENTRIES),
+        topTitles: [...titles.values()]
+            .sort((a, b) => b.members.size - a.members.size || b.units - a.units)
+            .slice(0, MAX_RANKED_ENTRIES),
+        completed: completed,
+        dropped: dropped,
+        newMembers: history.links
+            .filter(link => link.guildId === guildId && link.at >= windowStart)
+            .map(link => names.get(link.userId) ?? link.name),
+    };
+}
+
+function joinLines(lines, emptyText, locale) {
+    if (lines.length === 0) return emptyText;
+
+    let text = '';
+    for (const [index, line] of lines.entries()) {
+        const more = `\n${t(locale, 'digest.more', { count: lines.length - index })}`;
+        if (text.length + line.length + 1 + more.length > MAX_FIELD_LENGTH) {
+            return text + more;
+        }
+        text += (text ? '\n' : '') + line;
+    }
+    return text;
+}
+
+function formatUnits(episodes, chapters, locale) {
+    return [
+        episodes ? t(locale, 'digest.episodes', { count: episodes }) : null,
+        chapters ? t(locale, 'digest.chapters', { count: chapters }) : null,
+    ].filter(Boolean).join(', ');
+}
+
+// Scheduled digests are read by the whole guild and get its preferences as `display`, !digest the viewer's
+function buildDigestEmbed(guildName, digest, display) {
+    const { locale } = display;
+    const formatTitle = (title) => typeof title === 'string' ? title : getPreferredTitle(title, display.titleLanguage);
+    const activeLines = digest.activeMembers.map((member, index) => {
+        const units = formatUnits(member.ANIME, member.MANGA, locale);
+        return `**#${index + 1}** **${member.name}** — ${t(locale, 'digest.updates', { count: member.updates })}${units ? ` (${units})` : ''}`;
+    });
+    const titleLines = digest.topTitles.map((title, index) => {
+        const units = title.type === 'ANIME' ? formatUnits(title.units, 0, locale) : formatUnits(0, title.units, locale);
+        return `**#${index + 1}** **${formatTitle(title.title)}** — ${t(locale, 'digest.members', { count: title.members.size })}, ${units}`;
+    });
+    const listLines = (entries) => entries.map(entry => `**${entry.name}**: ${formatTitle(entry.title)}`);
+
+    return {
+        color: 0x3DB4F2,
+        title: t(locale, `digest.titles.${digest.windowName}`, { guild: guildName }),
+        description: digest.updateCount > 0
+            ? t(locale, 'digest.summary', {
+                since: `<t:${digest.since}:D>`,
+                episodes: t(locale, 'digest.episodes', { count: digest.episodes }),
+                chapters: t(locale, 'digest.chapters', { count: digest.chapters }),
+                updates: t(locale, 'digest.updates', { count: digest.updateCount }),
+            })
+            : t(locale, 'digest.noActivity', { since: `<t:${digest.since}:D>` }),
+        fields: [
+            { name: t(locale, 'digest.fields.active'), value: joinLines(activeLines, '—', locale), inline: false },
+            { name: t(locale, 'digest.fields.titles'), value: joinLines(titleLines, '—', locale), inline: false },
+            { name: t(locale, 'digest.fields.completed'), value: joinLines(listLines(digest.completed), '—', locale), inline: true },
+            { name: t(locale, 'digest.fields.dropped'), value: joinLines(listLines(digest.dropped), '—', locale), inline: true },
+            {
+                name: t(locale, 'digest.fields.newMembers'),
+                value: joinLines(digest.newMembers, t(locale, `digest.noNewMembers.${digest.windowName}`), locale),
+                inline: false
+            },
+        ],
+        footer: {
+            text: t(locale, 'digest.footer')
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Scheduled digests are due on Mondays (weekly) and on the 1st (monthly), once per guild
+function isDigestDue(windowName, lastSentAt, now) {
+    const isDueDay = windowName === 'week' ? now.getDay() === 1 : now.getDate() === 1;
+    const sentRecently = lastSentAt && now.getTime() - lastSentAt < 2 * 24 * 60 * 60 * 1000;
+    return isDueDay && !sentRecently;
+}
+
+async function postScheduledDigests(client, users) {
+    const now = new Date();
+
+    for (const guild of client.guilds.cache.values()) {
+        const settings = getGuildSettings(guild.id);
+        const channel = settings.channelId && client.channels.cache.get(settings.channelId);
+        if (!channel || !settings.features.digest) continue;
+
+        const guildUsers = users.filter(([, user]) => user.guilds.includes(guild.id));
+        const sent = history.sent[guild.id] ?? {};
+
+        for (const windowName of DIGEST_WINDOW_NAMES) {
+            if (!isDigestDue(windowName, sent[windowName], now)) continue;
+
+            try {
+                await channel.send({ embeds: [buildDigestEmbed(guild.name, buildDigest(guild.id, guildUsers, windowName), getDisplayPreferences(settings, null))] });
+                log.info(`Posted the ${windowName}ly digest in guild ${guild.id}.`);
+            } catch (error) {
+                log.warn(`Could not post the digest in guild ${guild.id}`, { error });
+            }
+            // Marked as sent even when posting failed, so a missing permission doesn't retry every hour
+            history.sent[guild.id] = { ...history.sent[guild.id], [windowName]: now.getTime() };
+            saveHistory();
+        }
+    }
+}
+
+// `getUsers` returns the current [discordId, user] pairs of every linked account
+function startDigestScheduler(client, getUsers) {
+    const runCheck = async () => {
+        try {
+            await postScheduledDigests(client, getUsers());
+        } catch (error) {
+            log.error("Error posting server digests", { error });
+        }
+        setTimeout(runCheck, DIGEST_CHECK_INTERVAL_MS);
+    };
+    runCheck();
+}
+
+module.exports = {
+    DIGEST_WINDOW_NAMES,
+    loadHistory,
+    recordActivities,
+    recordLink,
+    buildDigest,
+    buildDigestEmbed,
+    startDigestScheduler,
+};
@@ -0,0 +1,99 @@
+// --- PER-GUILD SETTINGS ---
+// Each Discord server has its own notification channel, command prefix, language,
+// tracked media types and enabled features, stored in guilds.json next to users.json.
+
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { log } = require('./logger');
+const { DEFAULT_LOCALE } = require('./i18n');
+
+const GUILDS_FILE = 'guilds.json';
+const GUILDS_VERSION = 1;
+
+// Features that admins can switch on or off per guild
+const FEATURES = {
+    activity: 'Activity feed posts in the notification channel and their reply threads (!thread)',
+    stats: 'Personal stats commands (!profile, !myanime, !mymanga)',
+    leaderboards: 'Rankings and the list of linked accounts (!topanime, !topmanga, !stats)',
+    lookup: 'Anime and manga lookup (!anime, !manga)',
+    airing: 'New episode alerts in the notification channel and the !airing schedule',
+    social: "Taste comparison and recommendations from members' lists (!compare, !affinity, !recommend)",
+    updates: 'List updates from Discord (!watched, !read, !rate, !setstatus and +1 buttons on feed posts)',
+    digest: 'Weekly and monthly digest posts in the notification channel (!digest)',
+    quiz: 'The guess-the-anime quiz and its leaderboard (!quiz, !topquiz)',
+};
+
+const MEDIA_TYPES = ['ANIME', 'MANGA'];
+// Activity that can be posted: list statuses, status posts (TEXT) and profile messages (MESSAGE).
+// ADULT_MODES are the ways titles marked isAdult can be posted.
+const ACTIVITY_STATUSES = ['CURRENT', 'REPEATING', 'COMPLETED', 'PAUSED', 'DROPPED', 'PLANNING', 'TEXT', 'MESSAGE'];
+const ADULT_MODES = ['hide', 'spoiler', 'show'];
+// Longest command prefix; archives are validated against the same limit
+const MAX_PREFIX_LENGTH = 5;
+
+const DEFAULT_SETTINGS = {
+    channelId: null,
+    // Optional age-restricted channel that receives activity for adult titles instead of channelId
+    adultChannelId: null,
+    prefix: '!',
+    // Language of replies and feed posts; members can choose their own with !anilist preferences
+    locale: DEFAULT_LOCALE,
+    mediaTypes: MEDIA_TYPES,
+    // Defaults for members who haven't set their own preferences with !anilist notify
+    activityStatuses: ACTIVITY_STATUSES,
+    adultContent: 'hide',
+    features: Object.fromEntries(Object.keys(FEATURES).map(feature => [feature, true])),
+};
+
+let guildSettings = {};
+
+function saveGuildSettings() {
+    writeJsonAtomic(GUILDS_FILE, { version: GUILDS_VERSION, guilds: guildSettings });
+}
+
+function loadGuildSettings() {
+    try {
+        guildSettings = readJson(GUILDS_FILE, { guilds: {} }).guilds ?? {};
+        log.info(`Loaded settings for ${Object.keys(guildSettings).length} guilds.`);
+    } catch (error) {
+        const quarantinedFile = quarantineFile(GUILDS_FILE);
+        log.error(`Error loading guilds.json, moved it to ${quarantinedFile} and using default guild settings`, { error });
+        guildSettings = {};
+    }
+}
+
+// Stored settings merged over the defaults, so new settings work for existing guilds
+function getGuildSettings(guildId) {
+    const stored = guildSettings[guildId] ?? {};
+    return {
+        ...DEFAULT_SETTINGS,
+        ...stored,
+        features: { ...DEFAULT_SETTINGS.features, ...stored.features },
+    };
+}
+
+function updateGuildSettings(guildId, changes) {
+    const stored = guildSettings[guildId] ?? {};
+    guildSettings[guildId] = {
+        ...stored,
+        ...changes,
+        features: { ...stored.features, ...changes.features },
+    };
+    saveGuildSettings();
+    return getGuildSettings(guildId);
+}
+
+function isFeatureEnabled(guildId, feature) {
+    return getGuildSettings(guildId).features[feature] !== false;
+}
+
+module.exports = {
+    FEATURES,
+    MEDIA_TYPES,
+    ACTIVITY_STATUSES,
+    ADULT_MODES,
+    MAX_PREFIX_LENGTH,
+    loadGuildSettings,
+    getGuildSettings,
+    updateGuildSettings,
+    isFeatureEnabled,
+};
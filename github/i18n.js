@@ -0,0 +1,140 @@
+// --- LOCALIZATION ---
+// Translation catalogs live in locales/<code>.json as nested keys, e.g. t('pl', 'help.title').
+// Text can contain {placeholders}, and an object with Intl plural categories (one, few, many, other)
+// is picked by the `count` parameter. Missing keys fall back to English.
+// Guilds choose a language with !anilist config language; members can override it, and choose
+// their title language and timezone, with !anilist preferences.
+
+const { log } = require('./logger');
+
+const DEFAULT_LOCALE = 'en';
+// Locale code -> name in that language, and the BCP 47 tag used to format dates and numbers
+const LOCALES = {
+    en: { name: 'English', tag: 'en-US', catalog: require('./locales/en.json') },
+    pl: { name: 'Polski', tag: 'pl-PL', catalog: require('./locales/pl.json') },
+};
+const LOCALE_CODES = Object.keys(LOCALES);
+
+const TITLE_LANGUAGES = ['romaji', 'english', 'native'];
+const PLURAL_SUFFIX = /\.(zero|one|two|few|many|other)$/;
+
+// Catalogs flattened to { 'help.title': '...' }
+function flattenCatalog(catalog, prefix = '', entries = {}) {
+    for (const [key, value] of Object.entries(catalog)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object') flattenCatalog(value, path, entries);
+        else entries[path] = value;
+    }
+    return entries;
+}
+
+const catalogs = Object.fromEntries(
+    Object.entries(LOCALES).map(([code, locale]) => [code, flattenCatalog(locale.catalog)])
+);
+
+// The locale's own text for a key, or null (no English fallback). With a numeric `count`,
+// the plural form for it is used.
+function getTranslation(locale, key, count) {
+    const catalog = catalogs[locale] ?? catalogs[DEFAULT_LOCALE];
+    if (typeof count === 'number') {
+        const category = new Intl.PluralRules(getLocaleTag(locale)).select(count);
+        return catalog[`${key}.${category}`] ?? catalog[`${key}.other`] ?? catalog[key] ?? null;
+    }
+    return catalog[key] ?? null;
+}
+
+function t(locale, key, params = {}) {
+    const text = getTranslation(locale, key, params.count) ?? getTranslation(DEFAULT_LOCALE, key, params.count);
+    if (text === null) return key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+// Translations of a key in every locale that has one, e.g. for Discord's description_localizations
+function getTranslations(key) {
+    return Object.fromEntries(
+        LOCALE_CODES.map(code => [code, catalogs[code][key]]).filter(([, text]) => text !== undefined)
+    );
+}
+
+function getLocaleTag(locale) {
+    return (LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE]).tag;
+}
+
+function getLocaleName(locale) {
+    return (LOCALES[locale] ?? LOCALES[DEFAULT_LOCALE]).name;
+}
+
+// Plural forms count as one key, since languages need different ones
+function getCatalogKeys(locale) {
+    return new Set(Object.keys(catalogs[locale]).map(key => key.replace(PLURAL_SUFFIX, '')));
+}
+
+// Logs the keys each translation lacks compared to English. `extraKeys` are keys English
+// doesn't need in its catalog, such as command descriptions, which come from the command registry.
+function reportMissingTranslations(extraKeys = []) {
+    const requiredKeys = [...getCatalogKeys(DEFAULT_LOCALE), ...extraKeys];
+
+    for (const code of LOCALE_CODES.filter(code => code !== DEFAULT_LOCALE)) {
+        const keys = getCatalogKeys(code);
+        const missing = requiredKeys.filter(key => !keys.has(key));
+        if (missing.length > 0) {
+            log.warn(`The ${LOCALES[code].name} translation is missing ${missing.length} ${missing.length === 1 ? 'key' : 'keys'}, English is used for them.`, { locale: code, keys: missing });
+        }
+    }
+}
+
+// Language, title language and timezone for what the bot says to a member. Their own choices win
+// over the guild's language; `settings` is null in DMs and `user` null for members without a link.
+function getDisplayPreferences(settings, user) {
+    const own = user?.preferences ?? {};
+    return {
+        locale: own.locale ?? settings?.locale ?? DEFAULT_LOCALE,
+        titleLanguage: own.titleLanguage ?? 'romaji',
+        // Imported archives can carry timezones this Node.js doesn't know
+        timezone: own.timezone && isValidTimezone(own.timezone) ? own.timezone : null,
+    };
+}
+
+// A media's title in the preferred language, falling back to romaji, English and native
+function getPreferredTitle(title, titleLanguage) {
+    return title?.[titleLanguage] ?? title?.romaji ?? title?.english ?? title?.native ?? '';
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Date and time in the member's language and timezone (the bot host's when they haven't set one)
+function formatDateTime(date, { locale, timezone }) {
+    return date.toLocaleString(getLocaleTag(locale), {
+        year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit',
+        timeZone: timezone ?? undefined, timeZoneName: timezone ? 'short' : undefined,
+    });
+}
+
+function formatNumber(value, locale, fractionDigits = 0) {
+    return value.toLocaleString(getLocaleTag(locale), {
+        minimumFractionDigits: fractionDigits, maximumFractionDigits: fractionDigits,
+    });
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    LOCALE_CODES,
+    TITLE_LANGUAGES,
+    t,
+    getTranslation,
+    getTranslations,
+    getLocaleName,
+    reportMissingTranslations,
+    getDisplayPreferences,
+    getPreferredTitle,
+    isValidTimezone,
+    formatDateTime,
+    formatNumber,
+};
@@ -0,0 +1,275 @@
+// --- LEADERBOARDS ---
+// Server rankings over several AniList statistics, all-time or over the last week/month.
+// Weekly and monthly rankings compare current statistics against snapshots stored in snapshots.json.
+
+const { ComponentType, ButtonStyle } = require('discord.js');
+const { queryAniList } = require('./api');
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { log } = require('./logger');
+const { t, formatNumber } = require('./i18n');
+
+const SNAPSHOTS_FILE = 'snapshots.json';
+const SNAPSHOTS_VERSION = 1;
+
+const STATS_CACHE_TTL = 5 * 60 * 1000;
+const SNAPSHOT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// At most one snapshot per user per 12 hours, kept for 35 days (enough for monthly rankings)
+const MIN_SNAPSHOT_GAP_SECONDS = 12 * 60 * 60;
+const SNAPSHOT_RETENTION_SECONDS = 35 * 24 * 60 * 60;
+const PAGE_SIZE = 10;
+
+// Window names are translated as leaderboard.windows.<window>
+const WINDOWS = {
+    all: { seconds: null },
+    week: { seconds: 7 * 24 * 60 * 60 },
+    month: { seconds: 30 * 24 * 60 * 60 },
+};
+
+function formatMinutes(minutes, locale) {
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    return days > 0
+        ? t(locale, 'leaderboard.daysHours', { days: days, hours: hours })
+        : t(locale, 'leaderboard.hoursMinutes', { hours: hours, minutes: Math.round(minutes % 60) });
+}
+
+// Metrics per media type. `cumulative` metrics can be ranked over a time window.
+// Their names are translated as leaderboard.metrics.<metric>, and values without their own
+// `format` as leaderboard.units.<metric>.
+const METRICS = {
+    anime: {
+        count: { value: stats => stats.count, cumulative: true },
+        episodes: { value: stats => stats.episodesWatched, cumulative: true },
+        minutes: { value: stats => stats.minutesWatched, format: formatMinutes, cumulative: true },
+        score: { value: stats => stats.meanScore, format: (value, locale) => formatNumber(value, locale, 1) },
+    },
+    manga: {
+        count: { value: stats => stats.count, cumulative: true },
+        chapters: { value: stats => stats.chaptersRead, cumulative: true },
+        volumes: { value: stats => stats.volumesRead, cumulative: true },
+        score: { value: stats => stats.meanScore, format: (value, locale) => formatNumber(value, locale, 1) },
+    },
+};
+
+const METRIC_NAMES = [...new Set(Object.values(METRICS).flatMap(metrics => Object.keys(metrics)))];
+const WINDOW_NAMES = Object.keys(WINDOWS);
+
+const LEADERBOARD_STATS_QUERY = `query LeaderboardStats($userId: Int) {
+    User(id: $userId) {
+        id
+        name
+        statistics {
+            anime {
+                count
+                episodesWatched
+                minutesWatched
+                meanScore
+            }
+            manga {
+                count
+                chaptersRead
+                volumesRead
+                meanScore
+            }
+        }
+    }
+}
+`;
+
+// AniList user ID -> snapshots ({ at, anime, manga }), oldest first
+let snapshots = {};
+
+function loadSnapshots() {
+    try {
+        snapshots = readJson(SNAPSHOTS_FILE, { snapshots: {} }).snapshots ?? {};
+    } catch (error) {
+        const quarantinedFile = quarantineFile(SNAPSHOTS_FILE);
+        log.error(`Error loading snapshots.json, moved it to ${quarantinedFile} and started without ranking snapshots`, { error });
+        snapshots = {};
+    }
+}
+
+function saveSnapshots() {
+    writeJsonAtomic(SNAPSHOTS_FILE, { version: SNAPSHOTS_VERSION, snapshots: snapshots });
+}
+
+// Returns true when a new snapshot was stored
+function recordSnapshot(userId, statistics) {
+    const now = Math.floor(Date.now() / 1000);
+    const history = (snapshots[userId] ?? []).filter(snapshot => snapshot.at >= now - SNAPSHOT_RETENTION_SECONDS);
+    snapshots[userId] = history;
+
+    const latest = history[history.length - 1];
+    if (latest && now - latest.at < MIN_SNAPSHOT_GAP_SECONDS) return false;
+
+    history.push({ at: now, anime: statistics.anime, manga: statistics.manga });
+    return true;
+}
+
+// The newest snapshot taken before the window started, or the oldest one for recently linked users
+function getBaselineSnapshot(userId, windowSeconds) {
+    const history = snapshots[userId] ?? [];
+    const windowStart = Math.floor(Date.now() / 1000) - windowSeconds;
+    const before = history.filter(snapshot => snapshot.at <= windowStart);
+    return before[before.length - 1] ?? history[0] ?? null;
+}
+
+async function fetchStatistics(userId) {
+    const data = await queryAniList(LEADERBOARD_STATS_QUERY, { userId: userId }, { cacheTtl: STATS_CACHE_TTL });
+    return data?.User ?? null;
+}
+
+// `users` is a list of [discordId, user] pairs; returns entries sorted by value, highest first
+async function buildRanking(users, type, metricName, windowName) {
+    const metric = METRICS[type][metricName];
+    const windowSeconds = WINDOWS[windowName].seconds;
+    let snapshotsChanged = false;
+
+    const results = await Promise.all(users.map(async ([discordId, user]) => {
+        try {
+            const userData = await fetchStatistics(user.id);
+            if (!userData?.statistics) return null;
+
+            snapshotsChanged = recordSnapshot(user.id, userData.statistics) || snapshotsChanged;
+
+            let value = metric.value(userData.statistics[type]) ?? 0;
+            if (windowSeconds) {
+                const baseline = getBaselineSnapshot(user.id, windowSeconds);
+                value = baseline ? value - (metric.value(baseline[type]) ?? 0) : 0;
+            }
+            return { discordId, name: userData.name, value };
+        } catch (error) {
+            log.error(`Error fetching top stats for ${user.name}`, { error });
+            return null;
+        }
+    }));
+
+    if (snapshotsChanged) saveSnapshots();
+
+    return results
+        .filter(Boolean)
+        .sort((a, b) => b.value - a.value);
+}
+
+function formatMetricValue(type, metricName, value, locale) {
+    const metric = METRICS[type][metricName];
+    if (metric.format) return metric.format(value, locale);
+
+    const rounded = Math.round(value);
+    return t(locale, `leaderboard.units.${metricName}`, { count: rounded, value: formatNumber(rounded, locale) });
+}
+
+// Validates the metric and window for a media type, returning an error message or null
+function validateLeaderboardOptions(type, metricName, windowName, locale) {
+    const metric = METRICS[type][metricName];
+    if (!metric) {
+        return t(locale, 'leaderboard.metricUnavailable', {
+            metric: metricName,
+            type: t(locale, `leaderboard.types.${type}`),
+            metrics: Object.keys(METRICS[type]).map(name => `\`${name}\``).join(', '),
+        });
+    }
+    if (WINDOWS[windowName].seconds && !metric.cumulative) {
+        return t(locale, 'leaderboard.allTimeOnly', { metric: t(locale, `leaderboard.metrics.${metricName}`) });
+    }
+    return null;
+}
+
+// Embed and navigation buttons for one page of a ranking, in the viewer's `locale`.
+// The viewer's own row is highlighted, and shown below the page when it isn't on it.
+function buildLeaderboardPage(ranking, { type, metricName, windowName, page, viewerId, locale }) {
+    const pageCount = Math.max(1, Math.ceil(ranking.length / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = currentPage * PAGE_SIZE;
+
+    const lines = ranking.slice(start, start + PAGE_SIZE).map((entry, index) => {
+        const line = `**#${start + index + 1}** **${entry.name}** — ${formatMetricValue(type, metricName, entry.value, locale)}`;
+        return entry.discordId === viewerId ? `👉 __${line}__` : line;
+    });
+
+    let description = lines.join('\n') || t(locale, 'leaderboard.empty');
+
+    const viewerIndex = ranking.findIndex(entry => entry.discordId === viewerId);
+    if (viewerIndex !== -1 && (viewerIndex < start || viewerIndex >= start + PAGE_SIZE)) {
+        const viewer = ranking[viewerIndex];
+        description += `\n\n👉 ${t(locale, 'leaderboard.yourRank', { rank: viewerIndex + 1, value: formatMetricValue(type, metricName, viewer.value, locale) })}`;
+    }
+
+    let footer = t(locale, 'leaderboard.footer', {
+        page: currentPage + 1,
+        pages: pageCount,
+        members: t(locale, 'leaderboard.members', { count: ranking.length }),
+    });
+    if (WINDOWS[windowName].seconds) {
+        footer += ` • ${t(locale, 'leaderboard.snapshotNote')}`;
+    }
+
+    const embed = {
+        color: type === 'anime' ? 0x0099ff : 0xffa500,
+        title: t(locale, 'leaderboard.title', {
+            type: t(locale, `leaderboard.types.${type}`),
+            metric: t(locale, `leaderboard.metrics.${metricName}`),
+            window: t(locale, `leaderboard.windows.${windowName}`),
+        }),
+        description: description.substring(0, 4096),
+        footer: {
+            text: footer
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    const customId = (targetPage) => `top:${type}:${metricName}:${windowName}:${targetPage}`;
+    const components = pageCount > 1 ? [{
+        type: ComponentType.ActionRow,
+        components: [
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: customId(currentPage - 1),
+                label: t(locale, 'common.previous'),
+                disabled: currentPage === 0,
+            },
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: customId(currentPage + 1),
+                label: t(locale, 'common.next'),
+                disabled: currentPage >= pageCount - 1,
+            },
+        ],
+    }] : [];
+
+    return { embeds: [embed], components: components };
+}
+
+// Periodically snapshots every linked user's statistics so weekly/monthly rankings have a baseline.
+// `getUsers` returns the current [discordId, user] pairs of every linked account.
+function startSnapshotScheduler(getUsers) {
+    loadSnapshots();
+
+    const takeSnapshots = async () => {
+        let changed = false;
+        for (const [, user] of getUsers()) {
+            try {
+                const userData = await fetchStatistics(user.id);
+                if (userData?.statistics) {
+                    changed = recordSnapshot(user.id, userData.statistics) || changed;
+                }
+            } catch (error) {
+                log.error(`Error taking stats snapshot for ${user.name}`, { error });
+            }
+        }
+        if (changed) saveSnapshots();
+        setTimeout(takeSnapshots, SNAPSHOT_INTERVAL_MS);
+    };
+    takeSnapshots();
+}
+
+module.exports = {
+    METRIC_NAMES,
+    WINDOW_NAMES,
+    validateLeaderboardOptions,
+    buildRanking,
+    buildLeaderboardPage,
+    startSnapshotScheduler,
+};
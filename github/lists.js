@@ -0,0 +1,59 @@
+// --- MEDIA LISTS ---
+// Full anime and manga lists of linked users, used by the taste comparison, recommendation and quiz commands.
+// Lists can hold thousands of entries, so results are cached for a while.
+
+const { queryAniList } = require('./api');
+
+const LIST_CACHE_TTL = 30 * 60 * 1000;
+
+// Scores are requested as POINT_100 so users with different scoring systems can be compared
+const MEDIA_LIST_COLLECTION_QUERY = `query MediaListCollection($userId: Int, $type: MediaType) {
+    MediaListCollection(userId: $userId, type: $type) {
+        lists {
+            entries {
+                status
+                score(format: POINT_100)
+                media {
+                    id
+                    type
+                    siteUrl
+                    isAdult
+                    popularity
+                    genres
+                    title {
+                        romaji
+                        english
+                        native
+                    }
+                }
+            }
+        }
+    }
+}
+`;
+
+// Every entry on the user's list of the given type ('ANIME' or 'MANGA'), once per media.
+// Custom lists repeat entries that are also on a status list, hence the deduplication.
+async function fetchMediaList(userId, type) {
+    const data = await queryAniList(MEDIA_LIST_COLLECTION_QUERY, { userId: userId, type: type }, { cacheTtl: LIST_CACHE_TTL });
+
+    const entries = new Map();
+    for (const list of data?.MediaListCollection?.lists ?? []) {
+        for (const entry of list.entries ?? []) {
+            if (entry?.media) entries.set(entry.media.id, entry);
+        }
+    }
+    return [...entries.values()];
+}
+
+// Anime and manga entries together, keyed by media ID
+async function fetchMediaLists(userId) {
+    const anime = await fetchMediaList(userId, 'ANIME');
+    const manga = await fetchMediaList(userId, 'MANGA');
+    return new Map([...anime, ...manga].map(entry => [entry.media.id, entry]));
+}
+
+module.exports = {
+    fetchMediaList,
+    fetchMediaLists,
+};
@@ -0,0 +1,83 @@
+// --- LOGGING ---
+// Leveled, structured log lines: `log.info('Posted 3 new activities for B.', { userId: 42 })`.
+// LOG_FORMAT 'text' prints readable lines, 'json' one JSON object per line for log collectors.
+// Code running inside withCorrelationId() (e.g. one activity poll cycle, including the AniList
+// requests it makes) gets the same correlation ID on every line, so a cycle can be followed in the logs.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { LOG_LEVEL, LOG_FORMAT } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const correlationStorage = new AsyncLocalStorage();
+const minimumLevel = LEVELS[LOG_LEVEL] ?? LEVELS.info;
+
+// Runs `fn` with a new correlation ID such as "poll-3f2a9c1e" and returns its result
+function withCorrelationId(prefix, fn) {
+    const correlationId = `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+    return correlationStorage.run(correlationId, fn);
+}
+
+function getCorrelationId() {
+    return correlationStorage.getStore() ?? null;
+}
+
+// Errors become their message plus what helps to debug them: AniList's GraphQL errors and
+// HTTP status, or the stack trace for anything unexpected
+function serializeError(error) {
+    if (!(error instanceof Error)) return { error: String(error) };
+    if (error.name === 'AniListError') {
+        return { error: error.message, status: error.status, ...(error.errors.length ? { errors: error.errors } : {}) };
+    }
+    return { error: error.message, ...(error.code ? { code: error.code } : {}), stack: error.stack };
+}
+
+function formatFieldValue(value) {
+    if (typeof value === 'string' && /^[^\s"=]+$/.test(value)) return value;
+    return JSON.stringify(value);
+}
+
+function formatText(entry) {
+    const { time, level, correlationId, msg, stack, ...fields } = entry;
+    let line = `${time} ${level.toUpperCase().padEnd(5)} ${correlationId ? `[${correlationId}] ` : ''}${msg}`;
+    for (const [key, value] of Object.entries(fields)) {
+        line += ` ${key}=${formatFieldValue(value)}`;
+    }
+    return stack ? `${line}\n${stack}` : line;
+}
+
+function write(level, message, fields = {}) {
+    if (LEVELS[level] < minimumLevel) return;
+
+    const { error, ...rest } = fields;
+    const correlationId = getCorrelationId();
+    const entry = {
+        time: new Date().toISOString(),
+        level: level,
+        ...(correlationId ? { correlationId } : {}),
+        msg: message,
+        ...rest,
+        ...(error !== undefined ? serializeError(error) : {}),
+    };
+
+    const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatText(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+const log = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+module.exports = {
+    log,
+    withCorrelationId,
+    getCorrelationId,
+};
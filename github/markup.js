@@ -0,0 +1,54 @@
+// --- ANI-LIST MARKUP ---
+// Converts the markdown dialect AniList uses in activities and replies into Discord formatting.
+
+// AniList-only media embeds, shown as plain links on Discord
+const MEDIA_EMBED_PATTERNS = [
+    [/img\d*%?\((.+?)\)/gi, (match, url) => url],
+    [/webm\((.+?)\)/gi, (match, url) => url],
+    [/youtube\((.+?)\)/gi, (match, id) => /^https?:/.test(id) ? id : `https://youtu.be/${id}`],
+];
+
+// Converts AniList markup to Discord markdown, cut to `maxLength` characters.
+// Spoilers (~!text!~) become Discord spoilers and stay closed when the text is cut.
+function convertAniListMarkup(text, maxLength = 1000) {
+    if (!text) return '';
+
+    let converted = text
+        .replace(/\r\n/g, '\n')
+        .replace(/<br\s*\/?>/gi, '\n');
+
+    for (const [pattern, replacement] of MEDIA_EMBED_PATTERNS) {
+        converted = converted.replace(pattern, replacement);
+    }
+
+    converted = converted
+        .replace(/~!([\s\S]*?)!~/g, (match, spoiler) => `||${spoiler.trim()}||`)
+        // Centered text (~~~text~~~) has no Discord equivalent
+        .replace(/~~~([\s\S]*?)~~~/g, '$1')
+        // AniList renders __text__ as bold, Discord as underline
+        .replace(/__([^_\n]+?)__/g, '**$1**')
+        .replace(/<\/?(b|strong)>/gi, '**')
+        .replace(/<\/?(i|em)>/gi, '*')
+        .replace(/<a\s+href="([^"]+)"[^>]*>(.*?)<\/a>/gi, '[$2]($1)')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#039;/g, "'")
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    if (converted.length <= maxLength) return converted;
+
+    let truncated = converted.substring(0, maxLength - 1).trimEnd();
+    // An odd number of || means a spoiler was cut open, which would reveal the rest of the message
+    if ((truncated.match(/\|\|/g) ?? []).length % 2 === 1) {
+        truncated = `${truncated.substring(0, maxLength - 3).trimEnd()}||`;
+    }
+    return `${truncated}…`;
+}
+
+module.exports = {
+    convertAniListMarkup,
+};
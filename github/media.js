@@ -0,0 +1,236 @@
+// --- ANIME / MANGA LOOKUP ---
+// Media search and lookup by ID or AniList URL, plus the embeds and picker used by !anime and !manga.
+
+const { ComponentType } = require('discord.js');
+const { queryAniList } = require('./api');
+const { DEFAULT_LOCALE, t, getTranslation, getPreferredTitle } = require('./i18n');
+
+const MEDIA_CACHE_TTL = 30 * 60 * 1000;
+const MAX_SEARCH_RESULTS = 10;
+const MAX_DESCRIPTION_LENGTH = 350;
+
+const MEDIA_FIELDS = `
+fragment MediaFields on Media {
+    id
+    type
+    siteUrl
+    title {
+        romaji
+        english
+        native
+    }
+    synonyms
+    format
+    status
+    episodes
+    chapters
+    volumes
+    season
+    seasonYear
+    averageScore
+    genres
+    description(asHtml: false)
+    coverImage {
+        large
+        color
+    }
+    studios(isMain: true) {
+        nodes {
+            name
+        }
+    }
+}
+`;
+
+const MEDIA_SEARCH_QUERY = `query MediaSearch($search: String, $type: MediaType, $perPage: Int) {
+    Page(perPage: $perPage) {
+        media(search: $search, type: $type, sort: [SEARCH_MATCH]) {
+            ... MediaFields
+        }
+    }
+}
+${MEDIA_FIELDS}`;
+
+const MEDIA_BY_ID_QUERY = `query MediaById($id: Int, $type: MediaType) {
+    Media(id: $id, type: $type) {
+        ... MediaFields
+    }
+}
+${MEDIA_FIELDS}`;
+
+const MEDIA_LIST_ENTRY_QUERY = `query MediaListEntry($userId: Int, $mediaId: Int) {
+    MediaList(userId: $userId, mediaId: $mediaId) {
+        status
+        progress
+        score(format: POINT_10_DECIMAL)
+    }
+}
+`;
+
+// Formats, release statuses and seasons are translated as media.formats.<FORMAT>,
+// media.statuses.<STATUS> and media.seasons.<SEASON>; values AniList adds later are shown as they are
+function describeEnum(locale, group, value) {
+    if (!value) return t(locale, 'media.unknown');
+    const key = `media.${group}.${value}`;
+    return getTranslation(locale, key) ?? getTranslation(DEFAULT_LOCALE, key) ?? value;
+}
+
+// Accepts a numeric ID or an AniList URL such as https://anilist.co/anime/21/One-Piece
+function parseMediaReference(text) {
+    const urlMatch = text.match(/anilist\.co\/(anime|manga)\/(\d+)/i);
+    if (urlMatch) {
+        return { id: Number(urlMatch[2]), type: urlMatch[1].toUpperCase() };
+    }
+    if (/^\d+$/.test(text.trim())) {
+        return { id: Number(text.trim()), type: null };
+    }
+    return null;
+}
+
+async function searchMedia(search, type) {
+    const data = await queryAniList(MEDIA_SEARCH_QUERY, {
+        search: search, type: type, perPage: MAX_SEARCH_RESULTS
+    }, { cacheTtl: MEDIA_CACHE_TTL });
+    return data?.Page?.media ?? [];
+}
+
+// Resolves to null when no media with this ID (and type) exists
+async function fetchMediaById(id, type) {
+    try {
+        const data = await queryAniList(MEDIA_BY_ID_QUERY, { id: id, type: type }, { cacheTtl: MEDIA_CACHE_TTL });
+        return data?.Media ?? null;
+    } catch (error) {
+        if (error.notFound) return null;
+        throw error;
+    }
+}
+
+// The user's list entry for a media, or null when it isn't on their list
+async function fetchListEntry(userId, mediaId) {
+    try {
+        const data = await queryAniList(MEDIA_LIST_ENTRY_QUERY, { userId: userId, mediaId: mediaId });
+        return data?.MediaList ?? null;
+    } catch (error) {
+        if (error.notFound) return null;
+        throw error;
+    }
+}
+
+function getMediaTitles(media) {
+    return [media.title.romaji, media.title.english, media.title.native, ...(media.synonyms ?? [])]
+        .filter(Boolean);
+}
+
+// A search is ambiguous when several results came back and none matches the query exactly
+function isAmbiguousSearch(search, results) {
+    if (results.length <= 1) return false;
+    const normalized = search.trim().toLowerCase();
+    return !getMediaTitles(results[0]).some(title => title.toLowerCase() === normalized);
+}
+
+// AniList descriptions contain HTML line breaks and tags even with asHtml: false
+function cleanDescription(description, locale) {
+    if (!description) return t(locale, 'media.noDescription');
+
+    const text = description
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?i>/gi, '*')
+        .replace(/<\/?b>/gi, '**')
+        .replace(/<[^>]+>/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return text.length > MAX_DESCRIPTION_LENGTH
+        ? `${text.substring(0, MAX_DESCRIPTION_LENGTH).trimEnd()}…`
+        : text;
+}
+
+// Episode, chapter and volume counts, with "?" for counts AniList doesn't know yet
+function describeLength(media, locale) {
+    const count = (key, value) => value ? t(locale, key, { count: value }) : t(locale, `${key}Unknown`);
+    if (media.type === 'ANIME') return count('media.episodeCount', media.episodes);
+
+    const chapters = count('media.chapterCount', media.chapters);
+    return media.volumes ? `${chapters}, ${t(locale, 'media.volumeCount', { count: media.volumes })}` : chapters;
+}
+
+// `listField` is an optional embed field describing the caller's list entry.
+// `display` is the caller's language and title language (see i18n.js).
+function buildMediaEmbed(media, listField, display) {
+    const { locale } = display;
+    const isAnime = media.type === 'ANIME';
+    const title = getPreferredTitle(media.title, display.titleLanguage);
+    const titleVariants = [media.title.romaji, media.title.english, media.title.native]
+        .filter(variant => variant && variant !== title);
+    const season = media.season && media.seasonYear ? `${describeEnum(locale, 'seasons', media.season)} ${media.seasonYear}` : null;
+    const studios = media.studios?.nodes?.map(studio => studio.name).join(', ');
+
+    const fields = [
+        { name: t(locale, 'media.fields.format'), value: describeEnum(locale, 'formats', media.format), inline: true },
+        { name: t(locale, isAnime ? 'media.fields.episodes' : 'media.fields.chapters'), value: describeLength(media, locale), inline: true },
+        { name: t(locale, 'media.fields.status'), value: describeEnum(locale, 'statuses', media.status), inline: true },
+    ];
+    if (season) fields.push({ name: t(locale, 'media.fields.season'), value: season, inline: true });
+    fields.push({
+        name: t(locale, 'media.fields.averageScore'),
+        value: media.averageScore ? `${media.averageScore}%` : t(locale, 'media.notAvailable'),
+        inline: true
+    });
+    if (studios) fields.push({ name: t(locale, 'media.fields.studios'), value: studios, inline: true });
+    if (media.genres?.length) fields.push({ name: t(locale, 'media.fields.genres'), value: media.genres.join(', '), inline: false });
+    if (listField) fields.push(listField);
+
+    const color = media.coverImage?.color
+        ? parseInt(media.coverImage.color.replace('#', ''), 16)
+        : (isAnime ? 0x0099ff : 0xffa500);
+
+    return {
+        color: color,
+        title: title,
+        url: media.siteUrl,
+        description: [
+            titleVariants.length ? `*${titleVariants.join(' • ')}*` : null,
+            cleanDescription(media.description, locale),
+        ].filter(Boolean).join('\n\n'),
+        thumbnail: {
+            url: media.coverImage?.large,
+        },
+        fields: fields,
+        footer: {
+            text: t(locale, 'media.footer', { id: media.id })
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Select menu letting the caller pick one of several search results.
+// The custom ID carries the owner's Discord ID so nobody else can pick for them.
+function buildMediaPicker(results, ownerId, display) {
+    const { locale } = display;
+    return {
+        type: ComponentType.ActionRow,
+        components: [{
+            type: ComponentType.StringSelect,
+            custom_id: `media:${ownerId}`,
+            placeholder: t(locale, 'media.pickerPlaceholder'),
+            options: results.slice(0, MAX_SEARCH_RESULTS).map(media => ({
+                label: getPreferredTitle(media.title, display.titleLanguage).substring(0, 100),
+                description: [media.format ? describeEnum(locale, 'formats', media.format) : null, media.seasonYear, media.title.english]
+                    .filter(Boolean).join(' • ').substring(0, 100) || undefined,
+                value: String(media.id),
+            })),
+        }],
+    };
+}
+
+module.exports = {
+    parseMediaReference,
+    searchMedia,
+    fetchMediaById,
+    fetchListEntry,
+    getMediaTitles,
+    isAmbiguousSearch,
+    buildMediaEmbed,
+    buildMediaPicker,
+    describeEnum,
+};
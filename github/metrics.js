@@ -0,0 +1,319 @@
+// --- METRICS & HEALTH ---
+// Counters and gauges for the bot process: activity poll cycles, AniList API calls and rate limits,
+// feed posts and failing users. They're served in Prometheus' text format on /metrics, next to a
+// /health check, by a small HTTP server on METRICS_PORT, and summarised in Discord by !anilist status.
+
+const http = require('http');
+const { METRICS_PORT, METRICS_HOST, POLL_INTERVAL_MS } = require('./config');
+const { log } = require('./logger');
+const { t } = require('./i18n');
+
+const METRIC_PREFIX = 'anilist_bot_';
+
+// Polling counts as stalled when no cycle finished for this long
+const POLL_STALL_THRESHOLD_MS = Math.max(10 * 60 * 1000, 5 * POLL_INTERVAL_MS);
+const MAX_LISTED_FAILURES = 10;
+const MAX_ERROR_LENGTH = 100;
+const MAX_FIELD_LENGTH = 1024;
+
+const METRICS = {
+    poll_cycles_total: { type: 'counter', help: 'Activity poll cycles run.' },
+    poll_duration_seconds: { type: 'histogram', help: 'Duration of activity poll cycles.', buckets: [1, 5, 15, 30, 60, 120, 300] },
+    poll_last_success_timestamp_seconds: { type: 'gauge', help: 'When the last activity poll cycle finished.' },
+    user_poll_failures_total: { type: 'counter', help: 'Failed activity checks of linked users.' },
+    anilist_requests_total: { type: 'counter', help: 'AniList API responses, by HTTP status (0 for network errors).' },
+    anilist_rate_limited_total: { type: 'counter', help: 'AniList API responses with status 429.' },
+    anilist_rate_limit_remaining: { type: 'gauge', help: 'Requests left in the current AniList rate limit window.' },
+    anilist_rate_limit_limit: { type: 'gauge', help: 'Requests allowed per AniList rate limit window.' },
+    posts_sent_total: { type: 'counter', help: 'Activity feed posts sent to Discord.' },
+    post_failures_total: { type: 'counter', help: 'Activity feed posts Discord rejected.' },
+    linked_users: { type: 'gauge', help: 'Linked AniList accounts.' },
+    guilds: { type: 'gauge', help: 'Discord servers the bot is in.' },
+    uptime_seconds: { type: 'gauge', help: 'Seconds since the bot process started.' },
+};
+
+const startedAt = Date.now();
+// Metric name -> Map of label key -> { labels, value } (histograms: { labels, buckets, sum, count })
+const series = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+// Last poll cycles and the users whose checks keep failing (AniList user ID -> failure)
+const pollStatus = { running: false, lastCompletedAt: null, lastDurationMs: null, lastCorrelationId: null };
+const userFailures = new Map();
+
+function getSeries(name, labels, create) {
+    const key = JSON.stringify(labels);
+    const metricSeries = series.get(name);
+    if (!metricSeries.has(key)) metricSeries.set(key, { labels: labels, ...create() });
+    return metricSeries.get(key);
+}
+
+function incrementCounter(name, labels = {}, amount = 1) {
+    getSeries(name, labels, () => ({ value: 0 })).value += amount;
+}
+
+function setGauge(name, value, labels = {}) {
+    getSeries(name, labels, () => ({ value: 0 })).value = value;
+}
+
+function observeHistogram(name, value, labels = {}) {
+    const histogram = getSeries(name, labels, () => ({ buckets: METRICS[name].buckets.map(() => 0), sum: 0, count: 0 }));
+    METRICS[name].buckets.forEach((bound, index) => {
+        if (value <= bound) histogram.buckets[index]++;
+    });
+    histogram.sum += value;
+    histogram.count++;
+}
+
+// A counter's total over all its labels, or a gauge's value (null when it was never set)
+function getMetricValue(name) {
+    const values = [...series.get(name).values()].map(entry => entry.value);
+    if (METRICS[name].type === 'gauge') return values.length ? values[0] : null;
+    return values.reduce((sum, value) => sum + value, 0);
+}
+
+function getAveragePollDurationMs() {
+    const histogram = series.get('poll_duration_seconds').get('{}');
+    return histogram?.count ? (histogram.sum / histogram.count) * 1000 : null;
+}
+
+function startPollCycle(correlationId) {
+    pollStatus.running = true;
+    pollStatus.lastCorrelationId = correlationId;
+    return Date.now();
+}
+
+function finishPollCycle(cycleStartedAt) {
+    const now = Date.now();
+    pollStatus.running = false;
+    pollStatus.lastCompletedAt = now;
+    pollStatus.lastDurationMs = now - cycleStartedAt;
+
+    incrementCounter('poll_cycles_total');
+    observeHistogram('poll_duration_seconds', pollStatus.lastDurationMs / 1000);
+    setGauge('poll_last_success_timestamp_seconds', Math.floor(now / 1000));
+}
+
+// `user` is the linked account ({ id, name }); a successful check clears its failures
+function recordUserPollResult(user, error) {
+    if (!error) {
+        userFailures.delete(user.id);
+        return;
+    }
+
+    // Not labelled by user: that would be a series per member, and names are personal data.
+    // The error log line names the user instead.
+    incrementCounter('user_poll_failures_total');
+    const failure = userFailures.get(user.id) ?? { name: user.name, count: 0 };
+    userFailures.set(user.id, { name: user.name, count: failure.count + 1, lastError: error.message, at: Date.now() });
+}
+
+// 'ok', 'starting' before the first poll cycle finished, or 'stalled'
+function getPollHealth() {
+    const lastActivity = pollStatus.lastCompletedAt ?? startedAt;
+    if (Date.now() - lastActivity > POLL_STALL_THRESHOLD_MS) return 'stalled';
+    return pollStatus.lastCompletedAt ? 'ok' : 'starting';
+}
+
+function getStatus(isDiscordReady) {
+    const discordReady = isDiscordReady();
+    const pollHealth = getPollHealth();
+    return {
+        status: !discordReady ? 'disconnected' : pollHealth,
+        uptimeSeconds: Math.floor((Date.now() - startedAt) / 1000),
+        discordReady: discordReady,
+        poll: {
+            running: pollStatus.running,
+            lastCompletedAt: pollStatus.lastCompletedAt ? new Date(pollStatus.lastCompletedAt).toISOString() : null,
+            lastDurationMs: pollStatus.lastDurationMs,
+            lastCorrelationId: pollStatus.lastCorrelationId,
+            cycles: getMetricValue('poll_cycles_total'),
+            failingUsers: userFailures.size,
+        },
+    };
+}
+
+function formatDuration(ms) {
+    if (ms < 1000) return `${Math.round(ms)}ms`;
+    if (ms < 60 * 1000) return `${(ms / 1000).toFixed(1)}s`;
+
+    const minutes = Math.floor(ms / (60 * 1000));
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor(minutes / 60) % 24;
+    return [days ? `${days}d` : null, hours ? `${hours}h` : null, `${minutes % 60}m`].filter(Boolean).join(' ');
+}
+
+// Fits the failing users into one embed field; `total` also counts the users past MAX_LISTED_FAILURES,
+// so the "…and N more" line covers both those and the lines that didn't fit
+function joinFailureLines(lines, total, locale) {
+    if (lines.length === 0) return t(locale, 'common.none');
+
+    let text = '';
+    for (const [index, line] of lines.entries()) {
+        const more = `\n${t(locale, 'status.more', { count: total - index })}`;
+        if (text.length + line.length + 1 + more.length > MAX_FIELD_LENGTH) {
+            return text + more;
+        }
+        text += (text ? '\n' : '') + line;
+    }
+    return total > lines.length ? `${text}\n${t(locale, 'status.more', { count: total - lines.length })}` : text;
+}
+
+// The figures of /health and /metrics for !anilist status. Failing users are limited to `userIds`
+// (the AniList IDs linked in the guild), so a server never sees another server's members.
+function buildStatusEmbed(isDiscordReady, userIds, locale) {
+    const status = getStatus(isDiscordReady);
+    const averageMs = getAveragePollDurationMs();
+    const remaining = getMetricValue('anilist_rate_limit_remaining');
+    const limit = getMetricValue('anilist_rate_limit_limit');
+
+    const failures = [...userFailures]
+        .filter(([userId]) => userIds.has(userId))
+        .sort(([, a], [, b]) => b.count - a.count);
+    const failureLines = failures.slice(0, MAX_LISTED_FAILURES).map(([, failure]) => {
+        const error = failure.lastError.length > MAX_ERROR_LENGTH ? `${failure.lastError.substring(0, MAX_ERROR_LENGTH)}…` : failure.lastError;
+        return t(locale, 'status.failure', {
+            name: failure.name,
+            count: failure.count,
+            at: `<t:${Math.floor(failure.at / 1000)}:R>`,
+            error
+        });
+    });
+
+    return {
+        color: status.status === 'ok' ? 0x2ECC71 : 0xE67E22,
+        title: t(locale, 'status.title'),
+        description: t(locale, `status.states.${status.status}`),
+        fields: [
+            { name: t(locale, 'status.fields.uptime'), value: formatDuration(status.uptimeSeconds * 1000), inline: true },
+            {
+                name: t(locale, 'status.fields.lastPoll'),
+                value: status.poll.lastCompletedAt
+                    ? t(locale, 'status.lastPoll', {
+                        at: `<t:${Math.floor(Date.parse(status.poll.lastCompletedAt) / 1000)}:R>`,
+                        duration: formatDuration(status.poll.lastDurationMs)
+                    })
+                    : t(locale, 'status.notFinished'),
+                inline: true
+            },
+            {
+                name: t(locale, 'status.fields.cycles'),
+                value: averageMs !== null
+                    ? t(locale, 'status.cyclesAverage', { cycles: status.poll.cycles, duration: formatDuration(averageMs) })
+                    : `${status.poll.cycles}`,
+                inline: true
+            },
+            {
+                name: t(locale, 'status.fields.requests'),
+                value: t(locale, 'status.requests', {
+                    requests: getMetricValue('anilist_requests_total'),
+                    limited: getMetricValue('anilist_rate_limited_total')
+                }),
+                inline: true
+            },
+            {
+                name: t(locale, 'status.fields.rateLimit'),
+                value: remaining !== null
+                    ? t(locale, 'status.requestsLeft', { remaining: `${remaining}${limit !== null ? `/${limit}` : ''}` })
+                    : t(locale, 'status.unknown'),
+                inline: true
+            },
+            {
+                name: t(locale, 'status.fields.posts'),
+                value: t(locale, 'status.posts', { sent: getMetricValue('posts_sent_total'), failed: getMetricValue('post_failures_total') }),
+                inline: true
+            },
+            { name: t(locale, 'status.fields.failing', { count: failures.length }), value: joinFailureLines(failureLines, failures.length, locale), inline: false },
+        ],
+        footer: {
+            text: status.poll.lastCorrelationId
+                ? t(locale, 'status.lastCycle', { id: status.poll.lastCorrelationId })
+                : t(locale, 'status.sinceRestart')
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function renderMetrics() {
+    setGauge('uptime_seconds', Math.floor((Date.now() - startedAt) / 1000));
+
+    const lines = [];
+    for (const [name, metric] of Object.entries(METRICS)) {
+        const fullName = METRIC_PREFIX + name;
+        lines.push(`# HELP ${fullName} ${metric.help}`);
+        lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+        // Counters start at zero; gauges and histograms only appear once they have a value
+        if (metric.type === 'counter' && series.get(name).size === 0) {
+            lines.push(`${fullName} 0`);
+        }
+
+        for (const entry of series.get(name).values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(`${fullName}${formatLabels(entry.labels)} ${entry.value}`);
+                continue;
+            }
+            metric.buckets.forEach((bound, index) => {
+                lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.buckets[index]}`);
+            });
+            lines.push(`${fullName}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${fullName}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${fullName}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Serves /health (JSON, 503 unless healthy) and /metrics. `isDiscordReady()` tells whether the
+// gateway connection is up. Returns the server, or null when METRICS_PORT isn't set.
+function startMetricsServer(isDiscordReady) {
+    if (!METRICS_PORT) {
+        log.info("METRICS_PORT is not set, the health and metrics endpoints are disabled.");
+        return null;
+    }
+
+    const server = http.createServer((request, response) => {
+        const { pathname } = new URL(request.url, 'http://localhost');
+        if (request.method !== 'GET') {
+            response.writeHead(405, { 'Content-Type': 'text/plain' });
+            return response.end('Method not allowed\n');
+        }
+
+        if (pathname === '/health') {
+            const status = getStatus(isDiscordReady);
+            const healthy = status.status === 'ok' || status.status === 'starting';
+            response.writeHead(healthy ? 200 : 503, { 'Content-Type': 'application/json' });
+            return response.end(JSON.stringify(status));
+        }
+        if (pathname === '/metrics') {
+            response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            return response.end(renderMetrics());
+        }
+
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end('Not found\n');
+    });
+
+    server.on('error', error => log.error("Metrics server error", { error }));
+    server.listen(METRICS_PORT, METRICS_HOST, () => log.info(`Health and metrics endpoints listening on ${METRICS_HOST}:${METRICS_PORT}.`));
+    return server;
+}
+
+module.exports = {
+    incrementCounter,
+    setGauge,
+    startPollCycle,
+    finishPollCycle,
+    recordUserPollResult,
+    buildStatusEmbed,
+    startMetricsServer,
+};
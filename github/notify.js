@@ -0,0 +1,92 @@
+// --- NOTIFICATION PREFERENCES ---
+// Members choose which of their activities get posted with !anilist notify. Unset preferences
+// fall back to the guild's defaults, so each guild can still differ for the same member.
+// Preferences are stored on the user entry in users.json as `notify`:
+// { enabled, statuses, mediaTypes, adult, dm }
+
+const { MEDIA_TYPES, ACTIVITY_STATUSES } = require('./guilds');
+const { t } = require('./i18n');
+
+// Names members can use for statuses, besides the AniList ones
+const STATUS_ALIASES = {
+    watching: 'CURRENT',
+    reading: 'CURRENT',
+    rewatching: 'REPEATING',
+    rereading: 'REPEATING',
+    planned: 'PLANNING',
+    posts: 'TEXT',
+    messages: 'MESSAGE',
+};
+
+// Parses "completed, dropped" or "all" into list statuses, or null when a status is unknown
+function parseStatuses(text) {
+    if (text.trim().toLowerCase() === 'all') return ACTIVITY_STATUSES;
+
+    const statuses = new Set();
+    for (const name of text.toLowerCase().split(/[\s,]+/).filter(Boolean)) {
+        const status = STATUS_ALIASES[name] ?? name.toUpperCase();
+        if (!ACTIVITY_STATUSES.includes(status)) return null;
+        statuses.add(status);
+    }
+    return statuses.size > 0 ? ACTIVITY_STATUSES.filter(status => statuses.has(status)) : null;
+}
+
+function describeStatuses(statuses, locale) {
+    return statuses.length === ACTIVITY_STATUSES.length
+        ? t(locale, 'notify.all')
+        : statuses.map(status => t(locale, `notify.statuses.${status}`)).join(', ') || t(locale, 'notify.none');
+}
+
+// The status (or TEXT/MESSAGE) preferences filter an activity by.
+// List activities report their status as text such as "watched episode" or "plans to read".
+function getActivityKind(activity) {
+    if (activity.__typename === 'TextActivity') return 'TEXT';
+    if (activity.__typename === 'MessageActivity') return 'MESSAGE';
+
+    const status = String(activity.status);
+    if (ACTIVITY_STATUSES.includes(status)) return status;
+    if (/^re(watched|read)/.test(status)) return 'REPEATING';
+    if (/^(watched|read)/.test(status)) return 'CURRENT';
+    if (/^completed/.test(status)) return 'COMPLETED';
+    if (/^paused/.test(status)) return 'PAUSED';
+    if (/^dropped/.test(status)) return 'DROPPED';
+    if (/^plans/.test(status)) return 'PLANNING';
+    return null;
+}
+
+// The member's preferences merged over the guild's defaults. `settings` is null for DMs,
+// which only use the member's own preferences.
+function getNotifyPreferences(user, settings) {
+    const own = user.notify ?? {};
+    const guildMediaTypes = settings?.mediaTypes ?? MEDIA_TYPES;
+
+    return {
+        enabled: own.enabled ?? true,
+        statuses: own.statuses ?? settings?.activityStatuses ?? ACTIVITY_STATUSES,
+        // A guild that doesn't track a media type never gets it, whatever the member chose
+        mediaTypes: (own.mediaTypes ?? MEDIA_TYPES).filter(mediaType => guildMediaTypes.includes(mediaType)),
+        adult: own.adult ?? settings?.adultContent ?? 'hide',
+        dm: own.dm ?? false,
+    };
+}
+
+function shouldPostActivity(preferences, activity) {
+    // Private messages are between two users and never posted
+    if (!preferences.enabled || activity.isPrivate) return false;
+
+    if (activity.media) {
+        if (!preferences.mediaTypes.includes(activity.media.type)) return false;
+        if (activity.media.isAdult && preferences.adult === 'hide') return false;
+    }
+
+    // Statuses the bot doesn't know are posted rather than silently dropped
+    const kind = getActivityKind(activity);
+    return !kind || preferences.statuses.includes(kind);
+}
+
+module.exports = {
+    parseStatuses,
+    describeStatuses,
+    getNotifyPreferences,
+    shouldPostActivity,
+};
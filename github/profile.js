@@ -0,0 +1,253 @@
+// --- USER PROFILES ---
+// The tabbed !profile embed: an overview plus anime, manga and favourites pages switched with buttons.
+
+const { ComponentType, ButtonStyle } = require('discord.js');
+const { queryAniList } = require('./api');
+const { t, getPreferredTitle, formatNumber } = require('./i18n');
+const { describeEnum } = require('./media');
+
+const PROFILE_CACHE_TTL = 5 * 60 * 1000;
+const TOP_ENTRIES = 5;
+
+// Statistics shared by the anime and manga sections of PROFILE_QUERY
+const LIST_STATISTICS_FIELDS = `
+    count
+    meanScore
+    standardDeviation
+    genres(limit: ${TOP_ENTRIES}, sort: COUNT_DESC) {
+        genre
+        count
+        meanScore
+    }
+    tags(limit: ${TOP_ENTRIES}, sort: COUNT_DESC) {
+        tag {
+            name
+        }
+        count
+    }
+    statuses(sort: COUNT_DESC) {
+        status
+        count
+    }
+    formats(sort: COUNT_DESC) {
+        format
+        count
+    }
+`;
+
+const PROFILE_QUERY = `query UserProfile($id: Int, $username: String) {
+    User(id: $id, name: $username) {
+        id
+        name
+        siteUrl
+        avatar {
+            large
+        }
+        statistics {
+            anime {
+                episodesWatched
+                minutesWatched
+                ${LIST_STATISTICS_FIELDS}
+            }
+            manga {
+                chaptersRead
+                volumesRead
+                ${LIST_STATISTICS_FIELDS}
+            }
+        }
+        favourites {
+            anime(perPage: ${TOP_ENTRIES}) {
+                nodes {
+                    siteUrl
+                    title {
+                        romaji
+                        english
+                        native
+                    }
+                }
+            }
+            manga(perPage: ${TOP_ENTRIES}) {
+                nodes {
+                    siteUrl
+                    title {
+                        romaji
+                        english
+                        native
+                    }
+                }
+            }
+            characters(perPage: ${TOP_ENTRIES}) {
+                nodes {
+                    siteUrl
+                    name {
+                        full
+                    }
+                }
+            }
+        }
+    }
+}
+`;
+
+// Labels and headings are translated as profile.tabs.<tab> and profile.headings.<tab>,
+// list status names as profile.statuses.<anime|manga>.<status>
+const TABS = {
+    overview: { emoji: '📊', color: 0x4B0082 },
+    anime: { emoji: '🎬', color: 0x0099ff },
+    manga: { emoji: '📖', color: 0xffa500 },
+    favourites: { emoji: '⭐', color: 0xE91E63 },
+};
+
+// Pass either `id` or `username`; AniList reports unknown users as a not-found error
+async function fetchProfile({ id, username }) {
+    const data = await queryAniList(PROFILE_QUERY, { id: id, username: username }, { cacheTtl: PROFILE_CACHE_TTL });
+    return data?.User ?? null;
+}
+
+function formatDays(minutes, locale) {
+    return t(locale, 'profile.days', { days: formatNumber(minutes / 1440, locale, 1) });
+}
+
+function formatScore(stats, locale) {
+    if (!stats.meanScore) return t(locale, 'profile.notAvailable');
+    return `${formatNumber(stats.meanScore, locale, 1)} (σ ${formatNumber(stats.standardDeviation, locale, 1)})`;
+}
+
+function listOrNone(lines, locale) {
+    return lines.length > 0 ? lines.join('\n').substring(0, 1024) : t(locale, 'profile.noneYet');
+}
+
+function buildOverviewDescription(userData, locale) {
+    const animeStats = userData.statistics.anime;
+    const mangaStats = userData.statistics.manga;
+    const line = (key, value) => `• ${t(locale, `profile.${key}`)}: **${value}**\n`;
+
+    let description = `[${t(locale, 'profile.link')}](${userData.siteUrl})\n\n`;
+    description += `**${t(locale, 'profile.anime')}**\n`;
+    description += line('titlesWatched', animeStats.count);
+    description += line('episodesWatched', animeStats.episodesWatched);
+    description += line('timeWatched', formatDays(animeStats.minutesWatched, locale));
+    description += line('meanScore', formatScore(animeStats, locale)) + '\n';
+    description += `**${t(locale, 'profile.manga')}**\n`;
+    description += line('titlesRead', mangaStats.count);
+    description += line('chaptersRead', mangaStats.chaptersRead);
+    description += line('meanScore', formatScore(mangaStats, locale)) + '\n';
+    return description;
+}
+
+function buildListTab(userData, type, locale) {
+    const stats = userData.statistics[type];
+    const line = (key, value) => `• ${t(locale, `profile.${key}`)}: **${value}**`;
+
+    let description = `[${t(locale, 'profile.link')}](${userData.siteUrl})\n\n`;
+    if (type === 'anime') {
+        description += `${line('titles', stats.count)}\n`;
+        description += `${line('episodesWatched', stats.episodesWatched)}\n`;
+        description += `${line('timeWatched', formatDays(stats.minutesWatched, locale))} (${t(locale, 'profile.minutes', { minutes: formatNumber(stats.minutesWatched, locale) })})\n`;
+    } else {
+        description += `${line('titles', stats.count)}\n`;
+        description += `${line('chaptersRead', stats.chaptersRead)}\n`;
+        description += `${line('volumesRead', stats.volumesRead)}\n`;
+    }
+    description += `${line('meanScore', formatScore(stats, locale))}\n`;
+
+    const describeGenreScore = (genre) => genre.meanScore
+        ? ` (${t(locale, 'profile.genreAverage', { score: formatNumber(genre.meanScore, locale, 1) })})`
+        : '';
+
+    const fields = [
+        {
+            name: t(locale, 'profile.topGenres'),
+            value: listOrNone(stats.genres.map(genre => `${genre.genre} — ${genre.count}${describeGenreScore(genre)}`), locale),
+            inline: true,
+        },
+        {
+            name: t(locale, 'profile.topTags'),
+            value: listOrNone(stats.tags.map(tag => `${tag.tag.name} — ${tag.count}`), locale),
+            inline: true,
+        },
+        {
+            name: t(locale, 'profile.statusDistribution'),
+            value: listOrNone(stats.statuses.map(status => `${t(locale, `profile.statuses.${type}.${status.status}`)}: **${status.count}**`), locale),
+            inline: true,
+        },
+        {
+            name: t(locale, 'profile.formatSplit'),
+            value: listOrNone(stats.formats.map(format => `${describeEnum(locale, 'formats', format.format)}: **${format.count}**`), locale),
+            inline: true,
+        },
+    ];
+
+    return { description, fields };
+}
+
+function buildFavouritesTab(userData, display) {
+    const { locale } = display;
+    const favourites = userData.favourites ?? {};
+    const mediaLinks = (connection) => (connection?.nodes ?? [])
+        .map(node => `[${getPreferredTitle(node.title, display.titleLanguage)}](${node.siteUrl})`);
+
+    return {
+        description: `[${t(locale, 'profile.link')}](${userData.siteUrl})`,
+        fields: [
+            { name: t(locale, 'profile.favouriteAnime'), value: listOrNone(mediaLinks(favourites.anime), locale), inline: false },
+            { name: t(locale, 'profile.favouriteManga'), value: listOrNone(mediaLinks(favourites.manga), locale), inline: false },
+            {
+                name: t(locale, 'profile.favouriteCharacters'),
+                value: listOrNone((favourites.characters?.nodes ?? []).map(node => `[${node.name.full}](${node.siteUrl})`), locale),
+                inline: false,
+            },
+        ],
+    };
+}
+
+// Tab buttons; the custom ID carries the AniList user ID so any tab can be loaded later
+function buildTabButtons(userId, activeTab, locale) {
+    return {
+        type: ComponentType.ActionRow,
+        components: Object.entries(TABS).map(([tab, { emoji }]) => ({
+            type: ComponentType.Button,
+            style: tab === activeTab ? ButtonStyle.Primary : ButtonStyle.Secondary,
+            custom_id: `profile:${userId}:${tab}`,
+            label: t(locale, `profile.tabs.${tab}`),
+            emoji: { name: emoji },
+            disabled: tab === activeTab,
+        })),
+    };
+}
+
+// Message payload for one profile tab: 'overview', 'anime', 'manga' or 'favourites',
+// in the reader's language and title language (`display`, see i18n.js)
+function buildProfilePage(userData, tab, display) {
+    const { locale } = display;
+    if (!(tab in TABS)) tab = 'overview';
+
+    let content;
+    if (tab === 'anime' || tab === 'manga') {
+        content = buildListTab(userData, tab, locale);
+    } else if (tab === 'favourites') {
+        content = buildFavouritesTab(userData, display);
+    } else {
+        content = { description: buildOverviewDescription(userData, locale) };
+    }
+
+    const { emoji, color } = TABS[tab];
+    const embed = {
+        color: color,
+        title: t(locale, `profile.headings.${tab}`, { emoji: emoji, name: userData.name }),
+        description: content.description,
+        fields: content.fields,
+        thumbnail: {
+            url: userData.avatar.large,
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    return { embeds: [embed], components: [buildTabButtons(userData.id, tab, locale)] };
+}
+
+module.exports = {
+    PROFILE_TABS: Object.keys(TABS),
+    fetchProfile,
+    buildProfilePage,
+};
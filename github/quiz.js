@@ -0,0 +1,498 @@
+// --- QUIZ ---
+// Guess-the-anime game: each round shows a blurred or cropped cover, or a description with the title
+// blacked out, of a title from linked members' lists or AniList's trending anime. The first member
+// to answer in the channel within the time limit scores; romaji, English and synonym titles all
+// count, with a few typos allowed. Scores are kept per guild in quiz.json for the !topquiz ranking.
+
+const axios = require('axios');
+const { ComponentType, ButtonStyle } = require('discord.js');
+const { queryAniList } = require('./api');
+const { fetchMediaList } = require('./lists');
+const { getMediaTitles } = require('./media');
+const { convertAniListMarkup } = require('./markup');
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { log } = require('./logger');
+const { t, getPreferredTitle } = require('./i18n');
+const { QUIZ_ROUND_SECONDS } = require('./config');
+
+const QUIZ_FILE = 'quiz.json';
+const QUIZ_VERSION = 1;
+
+const DEFAULT_ROUNDS = 5;
+const MAX_ROUNDS = 15;
+const ROUND_DELAY_MS = 4000;
+const TRENDING_PAGE_SIZE = 50;
+const MAX_DESCRIPTION_LENGTH = 700;
+// Shorter descriptions give too little away to guess from once the title is redacted
+const MIN_DESCRIPTION_LENGTH = 80;
+const COVER_WIDTH = 320;
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const PAGE_SIZE = 10;
+const REDACTED = '█████';
+
+// Difficulty follows popularity (how many AniList users have the title on their list). Harder rounds
+// score more, blur covers more and show smaller parts of them.
+const DIFFICULTIES = {
+    easy: { minPopularity: 100000, maxPopularity: null, points: 1, blur: 8, crop: 0.5 },
+    normal: { minPopularity: 20000, maxPopularity: 100000, points: 2, blur: 14, crop: 0.35 },
+    hard: { minPopularity: 1000, maxPopularity: 20000, points: 3, blur: 20, crop: 0.25 },
+};
+const DIFFICULTY_NAMES = Object.keys(DIFFICULTIES);
+const QUIZ_SOURCES = ['members', 'trending'];
+
+const QUIZ_MEDIA_FIELDS = `
+fragment QuizMediaFields on Media {
+    id
+    siteUrl
+    popularity
+    title {
+        romaji
+        english
+        native
+    }
+    synonyms
+    description(asHtml: false)
+    coverImage {
+        extraLarge
+        large
+    }
+}
+`;
+
+const TRENDING_QUIZ_QUERY = `query TrendingQuizMedia($perPage: Int, $minPopularity: Int, $maxPopularity: Int) {
+    Page(perPage: $perPage) {
+        media(type: ANIME, isAdult: false, sort: TRENDING_DESC, popularity_greater: $minPopularity, popularity_lesser: $maxPopularity) {
+            ... QuizMediaFields
+        }
+    }
+}
+${QUIZ_MEDIA_FIELDS}`;
+
+const QUIZ_MEDIA_BY_IDS_QUERY = `query QuizMediaByIds($ids: [Int], $perPage: Int) {
+    Page(perPage: $perPage) {
+        media(id_in: $ids, type: ANIME) {
+            ... QuizMediaFields
+        }
+    }
+}
+${QUIZ_MEDIA_FIELDS}`;
+
+// Guild ID -> Discord ID -> { points, answers }
+let quizScores = {};
+// Channel ID -> the quiz running there
+const sessions = new Map();
+
+// sharp does the blurring and cropping; it's optional, so it is only loaded when a quiz starts
+let sharp;
+
+function loadImageLibrary() {
+    if (sharp === undefined) {
+        try {
+            sharp = require('sharp');
+        } catch (error) {
+            sharp = null;
+            log.warn("sharp isn't installed, so quiz rounds only show descriptions. Run `npm install sharp` for cover rounds.");
+        }
+    }
+    return sharp;
+}
+
+function loadQuizScores() {
+    try {
+        quizScores = readJson(QUIZ_FILE, { guilds: {} }).guilds ?? {};
+    } catch (error) {
+        const quarantinedFile = quarantineFile(QUIZ_FILE);
+        log.error(`Error loading quiz.json, moved it to ${quarantinedFile} and started without quiz scores`, { error });
+        quizScores = {};
+    }
+}
+
+function saveQuizScores() {
+    writeJsonAtomic(QUIZ_FILE, { version: QUIZ_VERSION, guilds: quizScores });
+}
+
+function addQuizPoints(guildId, discordId, points) {
+    const guildScores = quizScores[guildId] ?? (quizScores[guildId] = {});
+    const score = guildScores[discordId] ?? { points: 0, answers: 0 };
+    guildScores[discordId] = { points: score.points + points, answers: score.answers + 1 };
+    saveQuizScores();
+}
+
+function shuffle(items) {
+    const shuffled = items.slice();
+    for (let index = shuffled.length - 1; index > 0; index--) {
+        const other = Math.floor(Math.random() * (index + 1));
+        [shuffled[index], shuffled[other]] = [shuffled[other], shuffled[index]];
+    }
+    return shuffled;
+}
+
+function randomInt(min, max) {
+    return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function isInDifficulty(popularity, difficulty) {
+    const { minPopularity, maxPopularity } = DIFFICULTIES[difficulty];
+    return popularity >= minPopularity && (maxPopularity === null || popularity < maxPopularity);
+}
+
+// Titles for a quiz, in random order: the anime on linked members' lists (`users` are [discordId, user]
+// pairs) or AniList's trending anime, within the difficulty's popularity range. Adult titles are left out.
+// A few more than `rounds` are returned, since titles without a usable cover or description are skipped.
+async function fetchQuizTitles(source, difficulty, users, rounds) {
+    const wanted = rounds * 2;
+
+    if (source === 'trending') {
+        const { minPopularity, maxPopularity } = DIFFICULTIES[difficulty];
+        const data = await queryAniList(TRENDING_QUIZ_QUERY, {
+            perPage: TRENDING_PAGE_SIZE,
+            minPopularity: minPopularity,
+            maxPopularity: maxPopularity ?? undefined,
+        });
+        return shuffle(data?.Page?.media ?? []).slice(0, wanted);
+    }
+
+    const mediaIds = new Set();
+    for (const [, user] of users) {
+        for (const entry of await fetchMediaList(user.id, 'ANIME')) {
+            if (!entry.media.isAdult && isInDifficulty(entry.media.popularity ?? 0, difficulty)) {
+                mediaIds.add(entry.media.id);
+            }
+        }
+    }
+    if (mediaIds.size === 0) return [];
+
+    const ids = shuffle([...mediaIds]).slice(0, wanted);
+    const data = await queryAniList(QUIZ_MEDIA_BY_IDS_QUERY, { ids: ids, perPage: ids.length });
+    return shuffle(data?.Page?.media ?? []);
+}
+
+// --- ANSWERS ---
+
+// Lowercase letters and digits only, without accents, so "Shingeki no Kyojin!" and "shingeki no kyojin" match
+function normalizeTitle(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function getEditDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Every title the media is known by, plus the part before a subtitle ("Frieren" for
+// "Frieren: Beyond Journey's End"), normalized
+function getAcceptedAnswers(media) {
+    const answers = new Set();
+    for (const title of getMediaTitles(media)) {
+        answers.add(normalizeTitle(title));
+        const mainTitle = normalizeTitle(title.split(/[:：]/)[0]);
+        if (mainTitle.length >= 4) answers.add(mainTitle);
+    }
+    answers.delete('');
+    return [...answers];
+}
+
+// An answer is right when it is within one typo per five characters of an accepted title
+function isCorrectAnswer(text, acceptedAnswers) {
+    const answer = normalizeTitle(text);
+    if (!answer) return false;
+    return acceptedAnswers.some(accepted => {
+        if (answer === accepted) return true;
+        const allowedTypos = Math.floor(accepted.length / 5);
+        return allowedTypos > 0 && Math.abs(answer.length - accepted.length) <= allowedTypos &&
+            getEditDistance(answer, accepted) <= allowedTypos;
+    });
+}
+
+// --- ROUNDS ---
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The description with every title of the media blacked out, longest titles first
+function redactDescription(media) {
+    const titles = getMediaTitles(media)
+        .flatMap(title => [title, title.split(/[:：]/)[0].trim()])
+        .filter(title => title.length >= 3)
+        .sort((a, b) => b.length - a.length);
+
+    let description = convertAniListMarkup(media.description, MAX_DESCRIPTION_LENGTH)
+        // Spoilers would be revealed with the answer anyway, and often name the title
+        .replace(/\|\|[\s\S]*?\|\|/g, REDACTED);
+    for (const title of titles) {
+        description = description.replace(new RegExp(escapeRegExp(title), 'gi'), REDACTED);
+    }
+    return description;
+}
+
+async function buildCoverImage(url, kind, difficulty) {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 15000, maxContentLength: MAX_COVER_BYTES });
+    const buffer = Buffer.from(response.data);
+    const { blur, crop } = DIFFICULTIES[difficulty];
+
+    if (kind === 'blur') {
+        return sharp(buffer).resize({ width: COVER_WIDTH }).blur(blur).jpeg().toBuffer();
+    }
+
+    const { width, height } = await sharp(buffer).metadata();
+    const size = Math.round(Math.min(width, height) * crop);
+    return sharp(buffer)
+        .extract({ left: randomInt(0, width - size), top: randomInt(0, height - size), width: size, height: size })
+        .resize({ width: COVER_WIDTH })
+        .jpeg()
+        .toBuffer();
+}
+
+// The question for one round, or null when the media has neither a usable cover nor description.
+// Cover rounds are preferred when sharp is installed; a cover that fails to load falls back to the description.
+async function buildRoundPrompt(media, session, round) {
+    const { locale, difficulty } = session;
+    const embed = {
+        color: 0x3DB4F2,
+        title: t(locale, 'quiz.roundTitle', { round: round, rounds: session.rounds }),
+        footer: {
+            text: t(locale, 'quiz.roundFooter', {
+                points: t(locale, 'quiz.points', { count: DIFFICULTIES[difficulty].points }),
+                seconds: QUIZ_ROUND_SECONDS,
+            })
+        },
+    };
+
+    const coverUrl = media.coverImage?.extraLarge ?? media.coverImage?.large;
+    if (loadImageLibrary() && coverUrl) {
+        const kind = Math.random() < 0.5 ? 'blur' : 'crop';
+        try {
+            const image = await buildCoverImage(coverUrl, kind, difficulty);
+            return {
+                embeds: [{ ...embed, description: t(locale, `quiz.prompts.${kind}`), image: { url: 'attachment://quiz-cover.jpg' } }],
+                files: [{ attachment: image, name: 'quiz-cover.jpg' }],
+            };
+        } catch (error) {
+            log.warn(`Could not prepare the quiz cover of media ${media.id}`, { error });
+        }
+    }
+
+    const description = redactDescription(media);
+    if (description.replaceAll(REDACTED, '').trim().length < MIN_DESCRIPTION_LENGTH) return null;
+    return { embeds: [{ ...embed, description: `${t(locale, 'quiz.prompts.description')}\n\n${description}` }] };
+}
+
+// Resolves with the first message that answers correctly, or null when time runs out or the quiz is stopped
+function waitForAnswer(channel, media, session) {
+    const acceptedAnswers = getAcceptedAnswers(media);
+    return new Promise(resolve => {
+        const collector = channel.createMessageCollector({
+            filter: message => !message.author.bot && isCorrectAnswer(message.content, acceptedAnswers),
+            max: 1,
+            time: QUIZ_ROUND_SECONDS * 1000,
+        });
+        session.collector = collector;
+        collector.on('end', collected => resolve(collected.first() ?? null));
+    });
+}
+
+function buildRevealEmbed(media, winnerMessage, session) {
+    const { locale } = session;
+    const title = getPreferredTitle(media.title, 'romaji');
+    const otherTitles = [media.title.english, media.title.native].filter(other => other && other !== title);
+    const points = t(locale, 'quiz.points', { count: DIFFICULTIES[session.difficulty].points });
+
+    let description = winnerMessage
+        ? t(locale, 'quiz.correct', { winner: `<@${winnerMessage.author.id}>`, points: points })
+        : t(locale, 'quiz.timeUp');
+    if (otherTitles.length > 0) {
+        description += `\n${t(locale, 'quiz.alsoKnownAs', { titles: otherTitles.join(' • ') })}`;
+    }
+
+    return {
+        color: winnerMessage ? 0x2ECC71 : 0xE74C3C,
+        title: title,
+        url: media.siteUrl,
+        description: description,
+        thumbnail: {
+            url: media.coverImage?.large,
+        },
+    };
+}
+
+function buildSummaryEmbed(session) {
+    const { locale } = session;
+    const standings = [...session.scores.entries()].sort((a, b) => b[1] - a[1]);
+    const lines = standings.map(([discordId, points], index) =>
+        `**#${index + 1}** <@${discordId}> — ${t(locale, 'quiz.points', { count: points })}`
+    );
+
+    return {
+        color: 0x00CED1,
+        title: session.stopped ? t(locale, 'quiz.stopped') : t(locale, 'quiz.finished'),
+        description: (lines.join('\n') || t(locale, 'quiz.noPoints')).substring(0, 4096),
+        footer: {
+            text: t(locale, 'quiz.leaderboardHint', { prefix: session.prefix })
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function playRounds(channel, session, titles) {
+    const queue = titles.slice();
+    let round = 0;
+
+    while (round < session.rounds && queue.length > 0 && !session.stopped) {
+        await delay(ROUND_DELAY_MS);
+        if (session.stopped) break;
+
+        const media = queue.shift();
+        const prompt = await buildRoundPrompt(media, session, round + 1);
+        if (!prompt) continue;
+        round++;
+
+        await channel.send(prompt);
+        const winnerMessage = await waitForAnswer(channel, media, session);
+        if (winnerMessage) {
+            const points = DIFFICULTIES[session.difficulty].points;
+            session.scores.set(winnerMessage.author.id, (session.scores.get(winnerMessage.author.id) ?? 0) + points);
+            addQuizPoints(session.guildId, winnerMessage.author.id, points);
+            winnerMessage.react('✅').catch(() => {});
+        }
+        await channel.send({ embeds: [buildRevealEmbed(media, winnerMessage, session)] });
+    }
+
+    await channel.send({ embeds: [buildSummaryEmbed(session)] });
+}
+
+function getQuizSession(channelId) {
+    return sessions.get(channelId) ?? null;
+}
+
+// Starts a quiz in the channel. Returns { rounds } once the titles are ready (the rounds then run in the
+// background), or { error } with the translation key of why it couldn't start. AniList errors are thrown.
+async function startQuiz(channel, { guildId, startedBy, users, rounds, difficulty, source, locale, prefix }) {
+    if (sessions.has(channel.id)) return { error: 'quiz.alreadyRunning' };
+
+    // Claimed before the titles are fetched, so a second !quiz in the meantime doesn't start another one
+    const session = {
+        guildId, startedBy, difficulty, locale, prefix,
+        rounds: rounds,
+        scores: new Map(),
+        stopped: false,
+        collector: null,
+    };
+    sessions.set(channel.id, session);
+
+    let titles;
+    try {
+        titles = await fetchQuizTitles(source, difficulty, users, rounds);
+    } catch (error) {
+        sessions.delete(channel.id);
+        throw error;
+    }
+    if (titles.length === 0) {
+        sessions.delete(channel.id);
+        return { error: source === 'members' ? 'quiz.noMemberTitles' : 'quiz.noTrendingTitles' };
+    }
+
+    session.rounds = Math.min(rounds, titles.length);
+    playRounds(channel, session, titles)
+        .catch(error => log.error(`Quiz in channel ${channel.id} ended with an error`, { error }))
+        .finally(() => sessions.delete(channel.id));
+
+    return { rounds: session.rounds };
+}
+
+// Ends the quiz after the current round; returns false when none is running in the channel
+function stopQuiz(channelId) {
+    const session = sessions.get(channelId);
+    if (!session) return false;
+
+    session.stopped = true;
+    session.collector?.stop('stopped');
+    return true;
+}
+
+// Embed and navigation buttons for one page of the guild's all-time quiz ranking
+function buildQuizLeaderboardPage(guildId, { page, viewerId, locale }) {
+    const ranking = Object.entries(quizScores[guildId] ?? {})
+        .map(([discordId, score]) => ({ discordId, ...score }))
+        .sort((a, b) => b.points - a.points || b.answers - a.answers);
+
+    const pageCount = Math.max(1, Math.ceil(ranking.length / PAGE_SIZE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const start = currentPage * PAGE_SIZE;
+    const formatScore = (entry) =>
+        `${t(locale, 'quiz.points', { count: entry.points })} • ${t(locale, 'quiz.answers', { count: entry.answers })}`;
+
+    const lines = ranking.slice(start, start + PAGE_SIZE).map((entry, index) => {
+        const line = `**#${start + index + 1}** <@${entry.discordId}> — ${formatScore(entry)}`;
+        return entry.discordId === viewerId ? `👉 __${line}__` : line;
+    });
+
+    let description = lines.join('\n') || t(locale, 'quiz.leaderboardEmpty');
+
+    const viewerIndex = ranking.findIndex(entry => entry.discordId === viewerId);
+    if (viewerIndex !== -1 && (viewerIndex < start || viewerIndex >= start + PAGE_SIZE)) {
+        description += `\n\n${t(locale, 'quiz.yourRank', { rank: viewerIndex + 1, score: formatScore(ranking[viewerIndex]) })}`;
+    }
+
+    const embed = {
+        color: 0x9B59B6,
+        title: t(locale, 'quiz.leaderboardTitle'),
+        description: description.substring(0, 4096),
+        footer: {
+            text: t(locale, 'quiz.leaderboardFooter', { page: currentPage + 1, pages: pageCount, players: t(locale, 'quiz.players', { count: ranking.length }) })
+        },
+        timestamp: new Date().toISOString()
+    };
+
+    const components = pageCount > 1 ? [{
+        type: ComponentType.ActionRow,
+        components: [
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: `topquiz:${currentPage - 1}`,
+                label: '◀',
+                disabled: currentPage === 0,
+            },
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: `topquiz:${currentPage + 1}`,
+                label: '▶',
+                disabled: currentPage >= pageCount - 1,
+            },
+        ],
+    }] : [];
+
+    return { embeds: [embed], components: components };
+}
+
+module.exports = {
+    DEFAULT_ROUNDS,
+    MAX_ROUNDS,
+    DIFFICULTY_NAMES,
+    QUIZ_SOURCES,
+    loadQuizScores,
+    getQuizSession,
+    startQuiz,
+    stopQuiz,
+    buildQuizLeaderboardPage,
+};
@@ -0,0 +1,191 @@
+// --- RECOMMENDATIONS ---
+// Suggests titles for !recommend from what other linked members rated highly, weighted by how
+// similar their taste is to the caller's, plus AniList's own recommendations for the caller's favourites.
+
+const { queryAniList } = require('./api');
+const { fetchMediaList } = require('./lists');
+const { compareLists } = require('./compare');
+const { log } = require('./logger');
+const { t, getPreferredTitle } = require('./i18n');
+
+const GENRE_CACHE_TTL = 24 * 60 * 60 * 1000;
+const RECOMMENDATIONS_CACHE_TTL = 6 * 60 * 60 * 1000;
+
+// Scores (out of 100) that count as a high rating
+const MIN_RECOMMENDED_SCORE = 70;
+// Members whose affinity with the caller can't be measured still count this much
+const BASE_MEMBER_WEIGHT = 0.25;
+// How many of the caller's top-rated titles AniList recommendations are fetched for, and their weight
+const SEED_TITLES = 10;
+const RECOMMENDATION_EDGES_PER_TITLE = 10;
+const RECOMMENDATION_EDGE_WEIGHT = 0.5;
+const MAX_RESULTS = 10;
+
+const GENRE_COLLECTION_QUERY = `query Genres {
+    GenreCollection
+}
+`;
+
+const MEDIA_RECOMMENDATIONS_QUERY = `query MediaRecommendations($mediaIds: [Int], $perPage: Int) {
+    Page(perPage: 50) {
+        media(id_in: $mediaIds) {
+            id
+            recommendations(sort: [RATING_DESC], perPage: $perPage) {
+                nodes {
+                    rating
+                    mediaRecommendation {
+                        id
+                        type
+                        siteUrl
+                        isAdult
+                        genres
+                        title {
+                            romaji
+                            english
+                            native
+                        }
+                    }
+                }
+            }
+        }
+    }
+}
+`;
+
+async function fetchGenres() {
+    const data = await queryAniList(GENRE_COLLECTION_QUERY, {}, { cacheTtl: GENRE_CACHE_TTL });
+    return data?.GenreCollection ?? [];
+}
+
+// Matches genre names loosely, so `genre:sliceoflife` or `genre:scifi` work from prefix commands
+function normalizeGenre(genre) {
+    return genre.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// The AniList genre matching the given text, or null when there is none
+async function findGenre(text) {
+    const normalized = normalizeGenre(text);
+    return (await fetchGenres()).find(genre => normalizeGenre(genre) === normalized) ?? null;
+}
+
+async function fetchRecommendationEdges(mediaIds) {
+    if (mediaIds.length === 0) return [];
+    const data = await queryAniList(MEDIA_RECOMMENDATIONS_QUERY, {
+        mediaIds: mediaIds, perPage: RECOMMENDATION_EDGES_PER_TITLE
+    }, { cacheTtl: RECOMMENDATIONS_CACHE_TTL });
+    return data?.Page?.media ?? [];
+}
+
+function toListMap(entries) {
+    return new Map(entries.map(entry => [entry.media.id, entry]));
+}
+
+// Recommendations of `type` ('ANIME' or 'MANGA') for `viewer` from the lists of `members`
+// ([discordId, user] pairs). Returns the best candidates first, each with the members who
+// rated it highly and the caller's titles AniList recommends it for.
+async function buildRecommendations(viewer, members, { type, genre = null, excludePlanning = false }) {
+    const viewerList = toListMap(await fetchMediaList(viewer.id, type));
+    const candidates = new Map();
+
+    const isCandidate = (media) => {
+        if (!media || media.isAdult || media.type !== type) return false;
+        if (genre && !media.genres?.includes(genre)) return false;
+        const entry = viewerList.get(media.id);
+        return !entry || (entry.status === 'PLANNING' && !excludePlanning);
+    };
+
+    const addCandidate = (media, weight) => {
+        if (!candidates.has(media.id)) {
+            candidates.set(media.id, { media, score: 0, likedBy: [], similarTo: [] });
+        }
+        const candidate = candidates.get(media.id);
+        candidate.score += weight;
+        return candidate;
+    };
+
+    let memberCount = 0;
+    for (const [, user] of members) {
+        let memberList;
+        try {
+            memberList = toListMap(await fetchMediaList(user.id, type));
+        } catch (error) {
+            log.error(`Error fetching list of ${user.name} for recommendations`, { error });
+            continue;
+        }
+        memberCount++;
+
+        const { affinity } = compareLists(viewerList, memberList);
+        const weight = BASE_MEMBER_WEIGHT + Math.max(affinity ?? 0, 0) / 100;
+
+        for (const entry of memberList.values()) {
+            if (entry.score < MIN_RECOMMENDED_SCORE || entry.status === 'PLANNING' || !isCandidate(entry.media)) continue;
+            addCandidate(entry.media, weight * entry.score / 100).likedBy.push(user.name);
+        }
+    }
+
+    // AniList's community recommendations for the caller's own favourites
+    const seeds = [...viewerList.values()]
+        .filter(entry => entry.score >= MIN_RECOMMENDED_SCORE && entry.status !== 'PLANNING')
+        .sort((a, b) => b.score - a.score)
+        .slice(0, SEED_TITLES);
+    const seedsById = new Map(seeds.map(entry => [entry.media.id, entry]));
+
+    for (const media of await fetchRecommendationEdges([...seedsById.keys()])) {
+        const seed = seedsById.get(media.id);
+        for (const node of media.recommendations?.nodes ?? []) {
+            if (!(node.rating > 0) || !isCandidate(node.mediaRecommendation)) continue;
+            addCandidate(node.mediaRecommendation, RECOMMENDATION_EDGE_WEIGHT * seed.score / 100)
+                .similarTo.push(seed.media.title);
+        }
+    }
+
+    return {
+        recommendations: [...candidates.values()].sort((a, b) => b.score - a.score),
+        memberCount: memberCount,
+    };
+}
+
+function describeReasons(candidate, display) {
+    const { locale } = display;
+    const reasons = [];
+    if (candidate.likedBy.length > 0) {
+        const names = candidate.likedBy.slice(0, 3).join(', ');
+        const more = candidate.likedBy.length > 3 ? ` +${candidate.likedBy.length - 3}` : '';
+        reasons.push(t(locale, 'recommend.ratedHighlyBy', { names: `${names}${more}` }));
+    }
+    if (candidate.similarTo.length > 0) {
+        const titles = candidate.similarTo.slice(0, 2).map(title => getPreferredTitle(title, display.titleLanguage));
+        reasons.push(t(locale, 'recommend.similarTo', { titles: titles.join(', ') }));
+    }
+    return reasons.join(' • ');
+}
+
+function buildRecommendationEmbed(viewer, { recommendations, memberCount }, { type, genre, excludePlanning }, display) {
+    const { locale } = display;
+    const isAnime = type === 'ANIME';
+    const lines = recommendations.slice(0, MAX_RESULTS).map((candidate, index) =>
+        `**${index + 1}. [${getPreferredTitle(candidate.media.title, display.titleLanguage)}](${candidate.media.siteUrl})**\n${describeReasons(candidate, display)}`
+    );
+
+    const filters = [
+        genre ? t(locale, 'recommend.genre', { genre: genre }) : null,
+        excludePlanning ? t(locale, 'recommend.excludingPlanning') : null,
+    ].filter(Boolean);
+
+    return {
+        color: isAnime ? 0x0099ff : 0xffa500,
+        title: t(locale, isAnime ? 'recommend.titleAnime' : 'recommend.titleManga', { name: viewer.name }),
+        description: (lines.join('\n\n') || t(locale, 'recommend.empty')).substring(0, 4096),
+        footer: {
+            text: [...filters, t(locale, 'recommend.basedOn', { count: memberCount })].join(' • ')
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    fetchGenres,
+    findGenre,
+    buildRecommendations,
+    buildRecommendationEmbed,
+};
@@ -0,0 +1,227 @@
+// --- USER STORAGE ---
+// Linked accounts (Discord ID -> { id, name, guilds, verified, notify, preferences }) behind one interface with
+// two backends: the users.json file the bot has always used, and SQLite for larger deployments,
+// which writes one row per change instead of rewriting the whole file.
+// Reads are served from memory and every change is written through immediately.
+// STORAGE_BACKEND in config.js picks the backend; switching to SQLite imports an existing users.json.
+
+const fs = require('fs');
+const { writeJsonAtomic, readJson, quarantineFile, runMigrations } = require('./store');
+const { STORAGE_BACKEND, SQLITE_FILE } = require('./config');
+const { log } = require('./logger');
+
+const USERS_FILE = 'users.json';
+const USERS_VERSION = 3;
+
+// users.json schema migrations, keyed by the version they upgrade from.
+// `findAniListUser(name)` resolves legacy usernames to { id, name }.
+function createUsersMigrations(findAniListUser) {
+    return {
+        // v1: plain { discordId: "username" | { id, name } } map
+        // v2: { version, users } with every entry resolved to { id, name }
+        1: async (rawUsers) => {
+            let convertedUsers = {};
+
+            for (const discordId in rawUsers) {
+                const value = rawUsers[discordId];
+
+                if (typeof value === 'string') {
+                    log.info(`Converting old user data for: ${value}...`);
+                    try {
+                        const userData = await findAniListUser(value);
+                        if (userData) {
+                            convertedUsers[discordId] = { id: userData.id, name: userData.name };
+                        } else {
+                            log.warn(`AniList user not found: ${value}. Removed from list.`);
+                        }
+                    } catch (error) {
+                        log.error(`API error during user conversion ${value}`, { error });
+                    }
+                } else if (value && typeof value === 'object' && value.id && value.name) {
+                    convertedUsers[discordId] = value;
+                }
+            }
+
+            return { version: 2, users: convertedUsers };
+        },
+        // v3: each link records the guilds it belongs to; existing links are assigned on startup
+        2: async ({ users }) => {
+            let scopedUsers = {};
+            for (const discordId in users) {
+                scopedUsers[discordId] = { ...users[discordId], guilds: users[discordId].guilds ?? [] };
+            }
+            return { version: 3, users: scopedUsers };
+        },
+    };
+}
+
+// Backends read everything once at startup and then write single changes.
+// read() returns the stored data as { version, users } (possibly in an old format), or null when empty.
+
+function createJsonBackend(file) {
+    return {
+        name: 'JSON',
+        file: file,
+        read: () => fs.existsSync(file) ? readJson(file, null) : null,
+        writeAll: (users) => writeJsonAtomic(file, { version: USERS_VERSION, users: users }),
+        // users.json can only be rewritten as a whole
+        writeUser: (discordId, user, users) => writeJsonAtomic(file, { version: USERS_VERSION, users: users }),
+        deleteUser: (discordId, users) => writeJsonAtomic(file, { version: USERS_VERSION, users: users }),
+    };
+}
+
+function createSqliteBackend(file) {
+    // Required here so JSON deployments don't need the native module installed
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error("STORAGE_BACKEND is 'sqlite', but better-sqlite3 isn't installed. Run `npm install better-sqlite3`.");
+    }
+
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS users (
+            discord_id TEXT PRIMARY KEY,
+            anilist_id INTEGER NOT NULL,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS users_anilist_id ON users (anilist_id);
+    `);
+
+    const selectVersion = db.prepare("SELECT value FROM meta WHERE key = 'users_version'");
+    const upsertVersion = db.prepare("INSERT INTO meta (key, value) VALUES ('users_version', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value");
+    const selectUsers = db.prepare('SELECT discord_id, data FROM users');
+    const upsertUser = db.prepare(`
+        INSERT INTO users (discord_id, anilist_id, data) VALUES (?, ?, ?)
+        ON CONFLICT(discord_id) DO UPDATE SET anilist_id = excluded.anilist_id, data = excluded.data
+    `);
+    const deleteUserRow = db.prepare('DELETE FROM users WHERE discord_id = ?');
+    const deleteAllUsers = db.prepare('DELETE FROM users');
+
+    return {
+        name: 'SQLite',
+        file: file,
+        read: () => {
+            const version = selectVersion.get();
+            if (!version) return null;
+
+            const users = {};
+            for (const row of selectUsers.all()) {
+                users[row.discord_id] = JSON.parse(row.data);
+            }
+            return { version: Number(version.value), users: users };
+        },
+        writeAll: db.transaction((users) => {
+            deleteAllUsers.run();
+            for (const [discordId, user] of Object.entries(users)) {
+                upsertUser.run(discordId, user.id, JSON.stringify(user));
+            }
+            upsertVersion.run(String(USERS_VERSION));
+        }),
+        writeUser: (discordId, user) => upsertUser.run(discordId, user.id, JSON.stringify(user)),
+        deleteUser: (discordId) => deleteUserRow.run(discordId),
+    };
+}
+
+let backend = null;
+let users = {};
+
+function createBackend() {
+    if (STORAGE_BACKEND === 'sqlite') return createSqliteBackend(SQLITE_FILE);
+    if (STORAGE_BACKEND !== 'json') {
+        log.warn(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}', using users.json.`);
+    }
+    return createJsonBackend(USERS_FILE);
+}
+
+// A new SQLite database starts from the existing users.json, which is kept as users.json.migrated
+function readInitialData() {
+    const stored = backend.read();
+    if (stored || backend.file === USERS_FILE || !fs.existsSync(USERS_FILE)) {
+        return { stored, imported: false };
+    }
+
+    log.info(`Importing ${USERS_FILE} into the ${backend.name} database...`);
+    return { stored: readJson(USERS_FILE, null), imported: true };
+}
+
+// Opens the configured backend and loads every linked account, migrating old formats.
+// A users.json that can't be read is quarantined and the bot starts without links; other
+// backend errors (e.g. a missing SQLite module) are thrown, since starting empty would hide them.
+async function loadUsers(findAniListUser) {
+    backend = createBackend();
+
+    let imported = false;
+    try {
+        const initial = readInitialData();
+        imported = initial.imported;
+        if (!initial.stored) {
+            users = {};
+            log.info(`No linked accounts stored yet (${backend.name} storage).`);
+            return;
+        }
+
+        const label = imported ? USERS_FILE : backend.file;
+        const { data, migrated } = await runMigrations(initial.stored, createUsersMigrations(findAniListUser), label);
+        users = data.users;
+        if (migrated || imported) {
+            log.info(`Saving updated ${backend.file}...`);
+            backend.writeAll(users);
+        }
+        if (imported) {
+            fs.renameSync(USERS_FILE, `${USERS_FILE}.migrated`);
+        }
+        log.info(`Loaded ${Object.keys(users).length} users (${backend.name} storage).`);
+    } catch (error) {
+        if (backend.file !== USERS_FILE && !imported) throw error;
+
+        // Keep the broken file for recovery (or !anilist import) instead of overwriting it on the next save
+        const quarantinedFile = quarantineFile(USERS_FILE);
+        log.error(`Error loading or converting users.json, moved it to ${quarantinedFile} and started without linked accounts`, { error });
+        users = {};
+    }
+}
+
+function getUser(discordId) {
+    return users[discordId] ?? null;
+}
+
+// Stores the member's account; call it again after changing the object returned by getUser
+function setUser(discordId, user) {
+    users[discordId] = user;
+    backend.writeUser(discordId, user, users);
+}
+
+function deleteUser(discordId) {
+    if (!users[discordId]) return;
+    delete users[discordId];
+    backend.deleteUser(discordId, users);
+}
+
+// Every linked account as [discordId, user] pairs
+function getUserEntries() {
+    return Object.entries(users);
+}
+
+// Linked users that belong to the given guild, as [discordId, user] pairs
+function getGuildUsers(guildId) {
+    return getUserEntries().filter(([, user]) => user.guilds?.includes(guildId));
+}
+
+// The [discordId, user] pair holding an AniList account, or null
+function findUserByAniListId(anilistId) {
+    return getUserEntries().find(([, user]) => user.id === anilistId) ?? null;
+}
+
+module.exports = {
+    loadUsers,
+    getUser,
+    setUser,
+    deleteUser,
+    getUserEntries,
+    getGuildUsers,
+    findUserByAniListId,
+};
@@ -0,0 +1,71 @@
+// --- PERSISTENT STORAGE HELPERS ---
+// Small helpers for the JSON files the bot keeps next to each other (users.json, state.json).
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// Writes to a temporary file first and renames it over the live file,
+// so a crash mid-write never leaves a truncated JSON file behind.
+function writeJsonAtomic(file, data) {
+    const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempFile, file);
+}
+
+// Returns the parsed file, or `fallback` if it doesn't exist yet.
+// Parse errors are thrown so callers can decide how to handle a corrupt file.
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) {
+        return fallback;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Moves a file that can't be loaded aside (users.json -> users.json.corrupt-<time>) so the bot can
+// start with fresh data without overwriting it. Returns the new path, or null when the move failed.
+function quarantineFile(file) {
+    const quarantinedFile = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    try {
+        fs.renameSync(file, quarantinedFile);
+        return quarantinedFile;
+    } catch (error) {
+        log.error(`Could not move ${file} aside`, { error });
+        return null;
+    }
+}
+
+// Files without a version field are treated as version 1.
+function getSchemaVersion(data) {
+    return data && typeof data === 'object' && Number.isInteger(data.version) ? data.version : 1;
+}
+
+// Runs every migration step between the file's version and the latest one.
+// `migrations` maps a source version to an async step returning the next version's data.
+// Returns { data, migrated } where `migrated` tells the caller to persist the result.
+async function runMigrations(data, migrations, label) {
+    const latestVersion = Math.max(1, ...Object.keys(migrations).map(Number)) + 1;
+    let version = getSchemaVersion(data);
+    let migrated = false;
+
+    if (version > latestVersion) {
+        throw new Error(`${label} has schema version ${version}, but this bot only supports up to ${latestVersion}.`);
+    }
+
+    while (version < latestVersion) {
+        log.info(`Migrating ${label} from schema version ${version} to ${version + 1}...`);
+        data = await migrations[version](data);
+        version = getSchemaVersion(data);
+        migrated = true;
+    }
+
+    return { data, migrated };
+}
+
+module.exports = {
+    writeJsonAtomic,
+    readJson,
+    quarantineFile,
+    getSchemaVersion,
+    runMigrations,
+};
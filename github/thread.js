@@ -0,0 +1,154 @@
+// --- ACTIVITY THREADS ---
+// The latest replies on an AniList activity, shown by the thread button on feed posts and by !thread.
+
+const { ComponentType, ButtonStyle } = require('discord.js');
+const { queryAniList } = require('./api');
+const { convertAniListMarkup } = require('./markup');
+const { t } = require('./i18n');
+
+const THREAD_CACHE_TTL = 60 * 1000;
+const MAX_THREAD_REPLIES = 5;
+const MAX_REPLY_LENGTH = 600;
+
+const ACTIVITY_REPLY_FIELDS = `
+fragment ActivityReplyFields on ActivityReply {
+    id
+    text(asHtml: false)
+    likeCount
+    createdAt
+    user {
+        name
+        siteUrl
+    }
+}
+`;
+
+const ACTIVITY_THREAD_QUERY = `query ActivityThread($id: Int) {
+    Activity(id: $id) {
+        __typename
+        ... on ListActivity {
+            siteUrl
+            replyCount
+            likeCount
+            user {
+                name
+            }
+            replies {
+                ... ActivityReplyFields
+            }
+        }
+        ... on TextActivity {
+            siteUrl
+            replyCount
+            likeCount
+            user {
+                name
+            }
+            replies {
+                ... ActivityReplyFields
+            }
+        }
+        ... on MessageActivity {
+            siteUrl
+            replyCount
+            likeCount
+            isPrivate
+            user: recipient {
+                name
+            }
+            replies {
+                ... ActivityReplyFields
+            }
+        }
+    }
+}
+${ACTIVITY_REPLY_FIELDS}`;
+
+// Accepts a numeric ID or an activity URL such as https://anilist.co/activity/123456
+function parseActivityReference(text) {
+    const match = text.trim().match(/^(?:https?:\/\/)?(?:www\.)?anilist\.co\/activity\/(\d+)|^(\d+)$/i);
+    return match ? Number(match[1] ?? match[2]) : null;
+}
+
+// Resolves to null when the activity doesn't exist or is a private message
+async function fetchActivityThread(activityId) {
+    try {
+        const data = await queryAniList(ACTIVITY_THREAD_QUERY, { id: activityId }, { cacheTtl: THREAD_CACHE_TTL });
+        const activity = data?.Activity;
+        return activity?.siteUrl && !activity.isPrivate ? activity : null;
+    } catch (error) {
+        if (error.notFound) return null;
+        throw error;
+    }
+}
+
+// "💬 3 replies • ❤️ 12 likes", used in feed post footers
+function formatEngagement(activity, locale) {
+    const replies = t(locale, 'activity.replies', { count: activity.replyCount ?? 0 });
+    const likes = t(locale, 'activity.likes', { count: activity.likeCount ?? 0 });
+    return `${replies} • ${likes}`;
+}
+
+function buildThreadEmbed(activity, locale) {
+    const replies = (activity.replies ?? []).slice(-MAX_THREAD_REPLIES);
+    const earlierCount = (activity.replies ?? []).length - replies.length;
+
+    const fields = replies.map(reply => ({
+        name: `${reply.user?.name ?? t(locale, 'thread.unknownUser')} • ❤️ ${reply.likeCount ?? 0}`,
+        value: `${convertAniListMarkup(reply.text, MAX_REPLY_LENGTH) || t(locale, 'activity.empty')}\n<t:${reply.createdAt}:R>`,
+        inline: false,
+    }));
+
+    let description = null;
+    if (replies.length === 0) {
+        description = t(locale, 'thread.noReplies');
+    } else if (earlierCount > 0) {
+        description = t(locale, 'thread.latestReplies', { shown: replies.length, count: activity.replies.length });
+    }
+
+    return {
+        color: 0x3DB4F2,
+        title: activity.user?.name
+            ? t(locale, 'thread.title', { username: activity.user.name })
+            : t(locale, 'thread.titleUnknown'),
+        url: activity.siteUrl,
+        description: description,
+        fields: fields,
+        footer: {
+            text: formatEngagement(activity, locale)
+        },
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Button under feed posts that shows the activity's latest replies
+function buildThreadButton(activity, locale) {
+    return {
+        type: ComponentType.ActionRow,
+        components: [
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Secondary,
+                custom_id: `thread:${activity.id}`,
+                label: activity.replyCount
+                    ? t(locale, 'thread.buttonCount', { count: activity.replyCount })
+                    : t(locale, 'thread.button'),
+                emoji: { name: '💬' },
+            },
+            {
+                type: ComponentType.Button,
+                style: ButtonStyle.Link,
+                url: activity.siteUrl,
+                label: t(locale, 'thread.openOnAniList'),
+            },
+        ],
+    };
+}
+
+module.exports = {
+    parseActivityReference,
+    fetchActivityThread,
+    formatEngagement,
+    buildThreadEmbed,
+    buildThreadButton,
+};
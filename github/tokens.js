@@ -0,0 +1,97 @@
+// --- ACCESS TOKENS ---
+// AniList OAuth access tokens of members who logged in, used for list updates.
+// Tokens are encrypted with AES-256-GCM before they are written to tokens.json, using a key
+// derived from TOKEN_ENCRYPTION_KEY. Without that key, tokens are not kept at all.
+
+const crypto = require('crypto');
+const { writeJsonAtomic, readJson, quarantineFile } = require('./store');
+const { TOKEN_ENCRYPTION_KEY } = require('./config');
+const { log } = require('./logger');
+
+const TOKENS_FILE = 'tokens.json';
+const TOKENS_VERSION = 1;
+
+// Discord ID -> { anilistId, iv, tag, data, expiresAt }
+let tokens = {};
+
+function getKey() {
+    return crypto.createHash('sha256').update(TOKEN_ENCRYPTION_KEY).digest();
+}
+
+function isTokenStorageEnabled() {
+    return Boolean(TOKEN_ENCRYPTION_KEY);
+}
+
+function encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+// Throws when the key changed or the stored token was tampered with
+function decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function saveTokens() {
+    writeJsonAtomic(TOKENS_FILE, { version: TOKENS_VERSION, tokens: tokens });
+}
+
+function loadTokens() {
+    if (!isTokenStorageEnabled()) {
+        log.info("TOKEN_ENCRYPTION_KEY is not set, AniList logins won't be kept and list updates are unavailable.");
+        return;
+    }
+    try {
+        tokens = readJson(TOKENS_FILE, { tokens: {} }).tokens ?? {};
+        log.info(`Loaded AniList tokens for ${Object.keys(tokens).length} users.`);
+    } catch (error) {
+        const quarantinedFile = quarantineFile(TOKENS_FILE);
+        log.error(`Error loading tokens.json, moved it to ${quarantinedFile}, members need to log in again for list updates`, { error });
+        tokens = {};
+    }
+}
+
+// Stores the member's token for their AniList account. `expiresIn` is in seconds, as AniList reports it.
+function storeToken(discordId, anilistId, accessToken, expiresIn) {
+    if (!isTokenStorageEnabled()) return false;
+
+    tokens[discordId] = {
+        anilistId: anilistId,
+        ...encrypt(accessToken),
+        expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null,
+    };
+    saveTokens();
+    return true;
+}
+
+// The member's token for the given AniList account, or null when there is no usable one
+function getToken(discordId, anilistId) {
+    const stored = tokens[discordId];
+    if (!isTokenStorageEnabled() || !stored || stored.anilistId !== anilistId) return null;
+    if (stored.expiresAt && stored.expiresAt <= Date.now()) return null;
+
+    try {
+        return decrypt(stored);
+    } catch (error) {
+        log.warn(`Could not decrypt the AniList token of Discord user ${discordId}`, { error });
+        return null;
+    }
+}
+
+function deleteToken(discordId) {
+    if (!tokens[discordId]) return;
+    delete tokens[discordId];
+    saveTokens();
+}
+
+module.exports = {
+    isTokenStorageEnabled,
+    loadTokens,
+    storeToken,
+    getToken,
+    deleteToken,
+};
@@ -0,0 +1,203 @@
+// --- LIST UPDATES ---
+// Members update their own AniList lists from Discord with !watched, !read, !rate, !setstatus and
+// the +1 button on feed posts. Updates run as the member through SaveMediaListEntry with the token
+// stored when they logged in, so AniList records them as list activity and the feed posts them.
+
+const { ComponentType, ButtonStyle } = require('discord.js');
+const { queryAniList } = require('./api');
+const { parseMediaReference, searchMedia, fetchMediaById, getMediaTitles } = require('./media');
+const { t, getPreferredTitle } = require('./i18n');
+
+const LIST_STATUSES = ['CURRENT', 'PLANNING', 'COMPLETED', 'DROPPED', 'PAUSED', 'REPEATING'];
+
+// Names members can use for list statuses, besides the AniList ones
+const LIST_STATUS_ALIASES = {
+    watching: 'CURRENT',
+    reading: 'CURRENT',
+    planned: 'PLANNING',
+    plan: 'PLANNING',
+    done: 'COMPLETED',
+    finished: 'COMPLETED',
+    hold: 'PAUSED',
+    onhold: 'PAUSED',
+    rewatching: 'REPEATING',
+    rereading: 'REPEATING',
+};
+
+const LIST_ENTRY_FIELDS = `
+fragment ListEntryFields on MediaList {
+    status
+    progress
+    score(format: POINT_10_DECIMAL)
+}
+`;
+
+const OWN_LIST_ENTRY_QUERY = `query OwnListEntry($userId: Int, $mediaId: Int) {
+    MediaList(userId: $userId, mediaId: $mediaId) {
+        ... ListEntryFields
+    }
+}
+${LIST_ENTRY_FIELDS}`;
+
+const SAVE_MEDIA_LIST_ENTRY_MUTATION = `mutation SaveMediaListEntry($mediaId: Int, $status: MediaListStatus, $progress: Int, $scoreRaw: Int) {
+    SaveMediaListEntry(mediaId: $mediaId, status: $status, progress: $progress, scoreRaw: $scoreRaw) {
+        ... ListEntryFields
+    }
+}
+${LIST_ENTRY_FIELDS}`;
+
+// Parses "completed", "watching", "onhold" etc. into a list status, or null when it's unknown
+function parseListStatus(text) {
+    const name = text.trim().toLowerCase().replace(/[\s_-]+/g, '');
+    const status = LIST_STATUS_ALIASES[name] ?? name.toUpperCase();
+    return LIST_STATUSES.includes(status) ? status : null;
+}
+
+// Status names are translated as listUpdates.statuses.<ANIME|MANGA>.<status>
+function describeListStatus(status, type, locale) {
+    return LIST_STATUSES.includes(status) ? t(locale, `listUpdates.statuses.${type}.${status}`) : status;
+}
+
+// Autocomplete source: list statuses, named in the member's language
+function suggestListStatuses(ctx, value) {
+    const search = value.toLowerCase();
+    return LIST_STATUSES
+        .map(status => ({
+            name: status === 'CURRENT' ? t(ctx.locale, 'listUpdates.currentChoice') : describeListStatus(status, 'ANIME', ctx.locale),
+            value: status.toLowerCase(),
+        }))
+        .filter(choice => choice.name.toLowerCase().includes(search) || choice.value.includes(search));
+}
+
+async function findMedia(text, type) {
+    const reference = parseMediaReference(text);
+    if (reference) {
+        return fetchMediaById(reference.id, reference.type ?? type);
+    }
+    const results = await searchMedia(text, type);
+    return results[0] ?? null;
+}
+
+// Finds the title a list command is about. Without an explicit `number`, a trailing number in the
+// text is taken as the episode, chapter or score, unless the whole text is a title (e.g. "Mob Psycho 100").
+// Resolves to { media, number }, with media null when nothing was found.
+async function findMediaToUpdate(text, type, number) {
+    const match = number === undefined ? text.trim().match(/^(.+?)\s+(\d+(?:\.\d+)?)$/) : null;
+    if (!match) {
+        return { media: await findMedia(text, type), number: number };
+    }
+
+    if (!parseMediaReference(match[1])) {
+        const [exactMatch] = await searchMedia(text, type);
+        const normalized = text.trim().toLowerCase();
+        if (exactMatch && getMediaTitles(exactMatch).some(title => title.toLowerCase() === normalized)) {
+            return { media: exactMatch, number: undefined };
+        }
+    }
+    return { media: await findMedia(match[1], type), number: Number(match[2]) };
+}
+
+// The member's own entry for a media, or null when it isn't on their list.
+// Asked with their token, so private lists are visible too.
+async function fetchOwnListEntry(token, userId, mediaId) {
+    try {
+        const data = await queryAniList(OWN_LIST_ENTRY_QUERY, { userId: userId, mediaId: mediaId }, { token: token });
+        return data?.MediaList ?? null;
+    } catch (error) {
+        if (error.notFound) return null;
+        throw error;
+    }
+}
+
+async function saveListEntry(token, variables) {
+    const data = await queryAniList(SAVE_MEDIA_LIST_ENTRY_MUTATION, variables, { token: token });
+    return data.SaveMediaListEntry;
+}
+
+function getTotalProgress(media) {
+    return media.type === 'ANIME' ? media.episodes : media.chapters;
+}
+
+function describeSavedEntry(media, entry, display) {
+    const { locale } = display;
+    const total = getTotalProgress(media);
+    const progress = entry.progress
+        ? t(locale, media.type === 'ANIME' ? 'listUpdates.atEpisode' : 'listUpdates.atChapter', {
+            progress: `${entry.progress}${total ? `/${total}` : ''}`
+        })
+        : '';
+    const score = entry.score ? t(locale, 'listUpdates.scored', { score: entry.score }) : '';
+
+    return t(locale, 'listUpdates.saved', {
+        title: getPreferredTitle(media.title, display.titleLanguage),
+        status: describeListStatus(entry.status, media.type, locale),
+        progress: progress,
+        score: score,
+    });
+}
+
+// Sets the member's progress on a title, or adds one to it when `progress` is undefined.
+// Titles not started yet become Watching/Reading, and reaching the last episode or chapter completes them.
+// Resolves to the reply for the member.
+async function updateProgress(token, userId, media, progress, display) {
+    const total = getTotalProgress(media);
+    const entry = await fetchOwnListEntry(token, userId, media.id);
+    const newProgress = progress ?? (entry?.progress ?? 0) + 1;
+
+    if (total && newProgress > total) {
+        return t(display.locale, media.type === 'ANIME' ? 'listUpdates.tooFewEpisodes' : 'listUpdates.tooFewChapters', {
+            title: getPreferredTitle(media.title, display.titleLanguage),
+            count: total,
+        });
+    }
+
+    let status = entry?.status === 'REPEATING' ? 'REPEATING' : 'CURRENT';
+    if (total && newProgress === total) {
+        status = 'COMPLETED';
+    }
+
+    const saved = await saveListEntry(token, { mediaId: media.id, status: status, progress: newProgress });
+    return describeSavedEntry(media, saved, display);
+}
+
+// `score` is out of 10; AniList takes it out of 100 whatever the member's scoring system
+async function rateMedia(token, userId, media, score, display) {
+    const entry = await fetchOwnListEntry(token, userId, media.id);
+    if (!entry) {
+        return t(display.locale, 'listUpdates.notOnList', { title: getPreferredTitle(media.title, display.titleLanguage) });
+    }
+
+    const saved = await saveListEntry(token, { mediaId: media.id, scoreRaw: Math.round(score * 10) });
+    return describeSavedEntry(media, saved, display);
+}
+
+async function setListStatus(token, media, status, display) {
+    const saved = await saveListEntry(token, { mediaId: media.id, status: status });
+    return describeSavedEntry(media, saved, display);
+}
+
+// Progress updates ("watched episode 5 of ...") can be followed up with the +1 button
+function canIncrementProgress(activity) {
+    return Boolean(activity.media) && /^(re)?(watched|read)\b/.test(String(activity.status));
+}
+
+// +1 button for feed posts; it adds one episode or chapter to the list of whoever clicks it
+function buildProgressButton(media, locale) {
+    return {
+        type: ComponentType.Button,
+        style: ButtonStyle.Primary,
+        custom_id: `progress:${media.id}`,
+        label: t(locale, media.type === 'ANIME' ? 'listUpdates.plusEpisode' : 'listUpdates.plusChapter'),
+    };
+}
+
+module.exports = {
+    parseListStatus,
+    suggestListStatuses,
+    findMediaToUpdate,
+    updateProgress,
+    rateMedia,
+    setListStatus,
+    canIncrementProgress,
+    buildProgressButton,
+};
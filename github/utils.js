@@ -0,0 +1,14 @@
+// --- SHARED HELPERS ---
+
+// Splits a list into consecutive slices of at most `size` items
+function chunk(items, size) {
+    const chunks = [];
+    for (let index = 0; index < items.length; index += size) {
+        chunks.push(items.slice(index, index + size));
+    }
+    return chunks;
+}
+
+module.exports = {
+    chunk,
+};
@@ -0,0 +1,184 @@
+// --- ACCOUNT VERIFICATION ---
+// Members prove they own the AniList account they link, either through AniList's OAuth
+// authorization-code flow (served by a small built-in HTTP callback server) or by putting
+// a one-time code in their AniList bio.
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+const { queryAniList } = require('./api');
+const {
+    ANILIST_CLIENT_ID, ANILIST_CLIENT_SECRET, OAUTH_REDIRECT_URI, OAUTH_PORT, ANILIST_AUTHORIZE_URL, ANILIST_TOKEN_URL
+} = require('./config');
+const { log } = require('./logger');
+const { t, DEFAULT_LOCALE } = require('./i18n');
+
+// Links and bio codes expire after 15 minutes
+const VERIFICATION_TTL_MS = 15 * 60 * 1000;
+
+const VIEWER_QUERY = `query Viewer {
+    Viewer {
+        id
+        name
+    }
+}
+`;
+
+const USER_ABOUT_QUERY = `query UserAbout($id: Int) {
+    User(id: $id) {
+        id
+        name
+        about
+    }
+}
+`;
+
+// OAuth state -> { discordId, guildId, locale, expiresAt }
+const pendingAuthorizations = new Map();
+// Discord ID -> { code, guildId, user: { id, name }, expiresAt }
+const pendingBioCodes = new Map();
+
+function isOAuthConfigured() {
+    return Boolean(ANILIST_CLIENT_ID && ANILIST_CLIENT_SECRET && OAUTH_REDIRECT_URI);
+}
+
+function pruneExpired(pending) {
+    const now = Date.now();
+    for (const [key, entry] of pending) {
+        if (entry.expiresAt <= now) pending.delete(key);
+    }
+}
+
+// AniList authorization URL for one member; the random state ties the callback to them, and the
+// callback pages are shown in their `locale`
+function createAuthorizationUrl(discordId, guildId, locale) {
+    pruneExpired(pendingAuthorizations);
+
+    const state = crypto.randomBytes(16).toString('hex');
+    pendingAuthorizations.set(state, { discordId, guildId, locale, expiresAt: Date.now() + VERIFICATION_TTL_MS });
+
+    const url = new URL(ANILIST_AUTHORIZE_URL);
+    url.searchParams.set('client_id', ANILIST_CLIENT_ID);
+    url.searchParams.set('redirect_uri', OAUTH_REDIRECT_URI);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('state', state);
+    return url.toString();
+}
+
+async function exchangeAuthorizationCode(code) {
+    const response = await axios.post(ANILIST_TOKEN_URL, {
+        grant_type: 'authorization_code',
+        client_id: ANILIST_CLIENT_ID,
+        client_secret: ANILIST_CLIENT_SECRET,
+        redirect_uri: OAUTH_REDIRECT_URI,
+        code: code,
+    }, {
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+        },
+    });
+
+    if (!response.data?.access_token) {
+        throw new Error('AniList did not return an access token');
+    }
+    return { accessToken: response.data.access_token, expiresIn: response.data.expires_in ?? null };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function sendPage(response, status, message) {
+    response.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(`<!DOCTYPE html><html><head><title>AniList Bot</title></head><body><p>${escapeHtml(message)}</p></body></html>`);
+}
+
+// Serves the OAuth redirect. `onVerified(pending, viewer, token)` links the account and resolves to
+// the message shown in the browser; `pending` is { discordId, guildId }, `viewer` { id, name }
+// and `token` { accessToken, expiresIn }.
+// Returns the server, or null when no OAuth client is configured.
+function startOAuthServer(onVerified) {
+    if (!isOAuthConfigured()) {
+        log.info("AniList OAuth is not configured, members verify their accounts with bio codes.");
+        return null;
+    }
+
+    const redirectUrl = new URL(OAUTH_REDIRECT_URI);
+    const port = OAUTH_PORT || Number(redirectUrl.port) || 80;
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, redirectUrl.origin);
+        if (request.method !== 'GET' || url.pathname !== redirectUrl.pathname) {
+            return sendPage(response, 404, t(DEFAULT_LOCALE, 'link.oauthPages.notFound'));
+        }
+
+        // Each state can be used once
+        const state = url.searchParams.get('state');
+        const pending = state ? pendingAuthorizations.get(state) : null;
+        if (state) pendingAuthorizations.delete(state);
+        const locale = pending?.locale ?? DEFAULT_LOCALE;
+
+        if (!pending || pending.expiresAt <= Date.now()) {
+            return sendPage(response, 400, t(locale, 'link.oauthPages.expired'));
+        }
+        const code = url.searchParams.get('code');
+        if (!code) {
+            return sendPage(response, 400, t(locale, 'link.oauthPages.cancelled'));
+        }
+
+        try {
+            const token = await exchangeAuthorizationCode(code);
+            const data = await queryAniList(VIEWER_QUERY, {}, { token: token.accessToken });
+            if (!data?.Viewer) {
+                return sendPage(response, 502, t(locale, 'link.oauthPages.noViewer'));
+            }
+            sendPage(response, 200, await onVerified(pending, data.Viewer, token));
+        } catch (error) {
+            log.error("Error completing AniList OAuth", { error });
+            sendPage(response, 502, t(locale, 'link.oauthPages.failed'));
+        }
+    });
+
+    server.on('error', error => log.error("OAuth callback server error", { error }));
+    server.listen(port, () => log.info(`OAuth callback server listening on port ${port}.`));
+    return server;
+}
+
+// One-time code the member puts in their AniList bio to prove they own `user` ({ id, name })
+function createBioCode(discordId, guildId, user) {
+    pruneExpired(pendingBioCodes);
+
+    const code = `anilist-bot-${crypto.randomBytes(4).toString('hex')}`;
+    pendingBioCodes.set(discordId, { code, guildId, user, expiresAt: Date.now() + VERIFICATION_TTL_MS });
+    return code;
+}
+
+// Checks the member's pending bio code. Resolves to null without a pending code, otherwise
+// to { verified, guildId, user } with the AniList account's current name.
+async function checkBioCode(discordId) {
+    const pending = pendingBioCodes.get(discordId);
+    if (!pending || pending.expiresAt <= Date.now()) {
+        pendingBioCodes.delete(discordId);
+        return null;
+    }
+
+    const data = await queryAniList(USER_ABOUT_QUERY, { id: pending.user.id });
+    const verified = Boolean(data?.User?.about?.includes(pending.code));
+    if (verified) pendingBioCodes.delete(discordId);
+
+    return {
+        verified: verified,
+        code: pending.code,
+        guildId: pending.guildId,
+        user: { id: pending.user.id, name: data?.User?.name ?? pending.user.name },
+    };
+}
+
+module.exports = {
+    isOAuthConfigured,
+    createAuthorizationUrl,
+    startOAuthServer,
+    createBioCode,
+    checkBioCode,
+};